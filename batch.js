@@ -0,0 +1,345 @@
+/**
+ * Batch Conversion
+ * Runs a list of expressions (pasted, or uploaded as a text or CSV file) through conversion and
+ * evaluation, and exports the results as CSV or JSON.
+ * Loaded as a plain <script> (after markup.js) it exposes `window.ExprBatch`; under Node it is
+ * a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.ExprBatch = factory(root.ExprMarkup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (markup) {
+    'use strict';
+
+    const { escapeHtml } = markup;
+
+    // Columns of the exported table, in order
+    const COLUMNS = ['line', 'expression', 'values', 'infix', 'postfix', 'prefix', 'result', 'status', 'unbound', 'error'];
+
+    // A cell starting with one of these is read as a formula by spreadsheet programs
+    const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+    // One 'name = value' assignment in a list of variable values
+    const ASSIGNMENT_PATTERN = /([A-Za-z_][A-Za-z0-9_]*)\s*=\s*([^,\s]+)/g;
+
+    /**
+     * Split CSV text into rows of fields. Quoted fields may contain commas, newlines and
+     * doubled quotes ("").
+     * @param {string} text - CSV text
+     * @returns {Array<{line: number, fields: Array<string>}>} Rows with the line each starts on
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                    line += char === '\n' ? 1 : 0;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                rows.push({ line: rowLine, fields: [...fields, field] });
+                fields = [];
+                field = '';
+                line++;
+                rowLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || fields.length > 0) {
+            rows.push({ line: rowLine, fields: [...fields, field] });
+        }
+        return rows;
+    }
+
+    /**
+     * Read variable values written as 'a = 1, b = 2' (or 'p = true')
+     * @param {string} text - Assignments, separated by commas or spaces
+     * @returns {Object<string, number|boolean>} Variable values
+     * @throws {Error} If a value is not a number or true/false
+     */
+    function parseBindings(text) {
+        const bindings = {};
+        for (const [, name, raw] of text.matchAll(ASSIGNMENT_PATTERN)) {
+            const value = raw === 'true' || raw === 'false' ? raw === 'true' : Number(raw);
+            if (typeof value === 'number' && Number.isNaN(value)) {
+                throw new Error(`Value of '${name}' is not a number or true/false: '${raw}'`);
+            }
+            bindings[name] = value;
+        }
+        return bindings;
+    }
+
+    /**
+     * Split a batch into expressions. In plain text each line is one expression, optionally
+     * followed by '; a = 1, b = 2' to give its variables values; blank lines and lines starting
+     * with '#' are skipped. In CSV (a file name ending in '.csv') the first column is the
+     * expression and an optional second column holds the values; a first row reading
+     * 'expression' is a header.
+     * @param {string} text - Batch text
+     * @param {string} fileName - Name of the uploaded file, if any
+     * @returns {Array<{line: number, expression: string, bindings: Object, error: string|null}>}
+     *          Entries with the source line of each; `error` is set if the values could not be read
+     */
+    function parseBatch(text, fileName = '') {
+        const csv = /\.csv$/i.test(fileName);
+        const rows = csv
+            ? parseCsv(text).map(({ line, fields: [expression = '', values = ''] }) => ({ line, expression, values }))
+            : text.split(/\r?\n/).map((content, index) => {
+                const separator = content.lastIndexOf(';');
+                return separator === -1
+                    ? { line: index + 1, expression: content, values: '' }
+                    : { line: index + 1, expression: content.slice(0, separator), values: content.slice(separator + 1) };
+            });
+        if (csv && rows.length > 0 && rows[0].expression.trim().toLowerCase() === 'expression') {
+            rows.shift();
+        }
+
+        return rows
+            .filter(row => row.expression.trim() !== '' && !row.expression.trim().startsWith('#'))
+            .map(row => {
+                const entry = { line: row.line, expression: row.expression.trim(), bindings: {}, error: null };
+                try {
+                    entry.bindings = parseBindings(row.values);
+                } catch (error) {
+                    entry.error = error.message;
+                }
+                return entry;
+            });
+    }
+
+    /**
+     * Convert and evaluate every entry of a batch. A line that fails keeps whatever was worked
+     * out before the failure, e.g. its conversions when only evaluation failed. The `status` of
+     * each row is one of:
+     * - 'evaluated': converted and evaluated
+     * - 'unbound': converted, but not evaluated because `unbound` variables have no value
+     * - 'converted': converted, but evaluation failed with `error`
+     * - 'failed': the values or the expression could not be read; see `error`
+     * @param {Object} engine - ExpressionEngine to use, in its current numeric mode
+     * @param {Array<Object>} entries - Entries from parseBatch()
+     * @param {string} notation - Notation of the expressions: 'infix', 'postfix' or 'prefix'
+     * @returns {Array<Object>} One row per entry with `line`, `expression`, `bindings`, `infix`,
+     *          `postfix`, `prefix`, `result` (text), `status`, `unbound` and `error`; missing
+     *          values are null
+     */
+    function convertBatch(engine, entries, notation = 'infix') {
+        return entries.map(({ line, expression, bindings, error }) => {
+            const row = {
+                line, expression, bindings, infix: null, postfix: null, prefix: null, result: null,
+                status: 'failed', unbound: null, error
+            };
+            if (error) {
+                return row;
+            }
+            try {
+                const { infix, postfix, prefix } = engine.convert(expression, notation);
+                Object.assign(row, { infix, postfix, prefix, status: 'converted' });
+                row.result = engine.formatNumber(engine.evaluatePostfix(postfix, bindings));
+                row.status = 'evaluated';
+            } catch (failure) {
+                if (row.status === 'converted' && failure.name === 'UnboundVariablesError') {
+                    row.status = 'unbound';
+                    row.unbound = failure.variables;
+                } else {
+                    row.error = failure.message;
+                }
+            }
+            return row;
+        });
+    }
+
+    /**
+     * Write variable values as 'a=1; b=2'
+     * @param {Object<string, number|boolean>} bindings - Variable values
+     * @returns {string} Text
+     */
+    function formatBindings(bindings) {
+        return Object.entries(bindings).map(([name, value]) => `${name}=${value}`).join('; ');
+    }
+
+    /**
+     * Write result rows as CSV with a header row. Cells that a spreadsheet would run as a formula,
+     * such as '-a + b' or '=1+1', are prefixed with an apostrophe; plain numbers are left alone.
+     * @param {Array<Object>} rows - Rows from convertBatch()
+     * @returns {string} CSV text
+     */
+    function toCsv(rows) {
+        const quote = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (FORMULA_PREFIX_PATTERN.test(text) && Number.isNaN(Number(text))) {
+                text = `'${text}`;
+            }
+            return /[",'\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const cellText = (row, column) => {
+            if (column === 'values') {
+                return formatBindings(row.bindings);
+            }
+            return column === 'unbound' && row.unbound ? row.unbound.join(' ') : row[column];
+        };
+        const lines = rows.map(row => COLUMNS.map(column => quote(cellText(row, column))).join(','));
+        return [COLUMNS.join(','), ...lines].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Write result rows as JSON
+     * @param {Array<Object>} rows - Rows from convertBatch()
+     * @returns {string} JSON text
+     */
+    function toJson(rows) {
+        return JSON.stringify(rows.map(({ line, expression, bindings, infix, postfix, prefix, result, status, unbound, error }) =>
+            ({ line, expression, values: bindings, infix, postfix, prefix, result, status, unbound, error })), null, 2);
+    }
+
+    class BatchPanel {
+        /**
+         * @param {Object} engine - ExpressionEngine used for the batch
+         * @param {Array<string>} samples - Expressions for the "Load samples" button
+         * @param {Function} onSelect - Called with {expression, mode, bindings} when a row is picked
+         */
+        constructor(engine, samples, onSelect) {
+            this.engine = engine;
+            this.samples = samples;
+            this.onSelect = onSelect;
+            this.rows = [];
+            this.notation = 'infix';
+            this.fileName = '';
+            this.initializeControls();
+        }
+
+        /**
+         * Initialize event listeners for the batch controls
+         */
+        initializeControls() {
+            document.getElementById('batchRunBtn').addEventListener('click', () => this.run());
+            document.getElementById('batchSampleBtn').addEventListener('click', () => this.loadSamples());
+            document.getElementById('batchFile').addEventListener('change', (e) => this.loadFile(e.target.files[0]));
+            document.getElementById('batchInput').addEventListener('input', () => {
+                this.fileName = '';
+            });
+            document.getElementById('batchCsvBtn').addEventListener('click', () =>
+                this.download('batch-results.csv', 'text/csv', toCsv(this.rows)));
+            document.getElementById('batchJsonBtn').addEventListener('click', () =>
+                this.download('batch-results.json', 'application/json', toJson(this.rows)));
+            document.getElementById('batchResults').addEventListener('click', (e) => {
+                const item = e.target.closest('[data-batch-index]');
+                if (item) {
+                    const { expression, bindings } = this.rows[Number(item.dataset.batchIndex)];
+                    this.onSelect({ expression, mode: this.notation, bindings });
+                }
+            });
+        }
+
+        /**
+         * Fill the batch box with the sample expressions
+         */
+        loadSamples() {
+            document.getElementById('batchInput').value = this.samples.join('\n');
+            document.getElementById('batchMode').value = 'infix';
+            this.fileName = '';
+        }
+
+        /**
+         * Read an uploaded text or CSV file into the batch box
+         * @param {File} file - Uploaded file
+         */
+        loadFile(file) {
+            if (!file) {
+                return;
+            }
+            const reader = new FileReader();
+            reader.onload = () => {
+                document.getElementById('batchInput').value = reader.result;
+                this.fileName = file.name;
+            };
+            reader.readAsText(file);
+        }
+
+        /**
+         * Convert and evaluate every line, then show the results
+         */
+        run() {
+            this.notation = document.getElementById('batchMode').value;
+            const entries = parseBatch(document.getElementById('batchInput').value, this.fileName);
+            this.rows = convertBatch(this.engine, entries, this.notation);
+            this.render();
+        }
+
+        /**
+         * Draw the results table and summary
+         */
+        render() {
+            const count = (status) => this.rows.filter(row => row.status === status).length;
+            const failed = count('failed');
+            const unbound = count('unbound');
+            document.getElementById('batchSummary').textContent = this.rows.length === 0
+                ? 'No expressions to convert'
+                : `${this.rows.length} expression${this.rows.length === 1 ? '' : 's'}: ${this.rows.length - failed} converted, ${failed} failed; `
+                    + `${count('evaluated')} evaluated${unbound > 0 ? `, ${unbound} not evaluated for missing values` : ''}`;
+            document.getElementById('batchCsvBtn').disabled = this.rows.length === 0;
+            document.getElementById('batchJsonBtn').disabled = this.rows.length === 0;
+
+            const cell = (text) => (text === null ? '<span class="text-muted">—</span>' : escapeHtml(text));
+            document.getElementById('batchResults').innerHTML = this.rows.length === 0 ? '' : `
+                <table class="table table-sm table-bordered batch-table align-middle mb-0">
+                    <thead><tr><th>Line</th><th>Expression</th><th>Infix</th><th>Postfix</th><th>Prefix</th><th>Result</th></tr></thead>
+                    <tbody>${this.rows.map((row, index) => `
+                        <tr data-batch-index="${index}" class="${row.error ? 'batch-error' : ''}${row.unbound ? 'batch-unbound' : ''}" title="Open in the converter">
+                            <td>${row.line}</td>
+                            <td><code>${escapeHtml(row.expression)}</code>${Object.keys(row.bindings).length > 0
+                                ? `<div class="small text-muted">${escapeHtml(formatBindings(row.bindings))}</div>` : ''}</td>
+                            <td>${cell(row.infix)}</td>
+                            <td>${cell(row.postfix)}</td>
+                            <td>${cell(row.prefix)}</td>
+                            <td>${row.error ? `<span class="text-danger">${escapeHtml(row.error)}</span>`
+                                : row.unbound ? `<span class="text-muted">Not evaluated: no value for ${escapeHtml(row.unbound.join(', '))}</span>`
+                                    : cell(row.result)}</td>
+                        </tr>`).join('')}</tbody>
+                </table>`;
+        }
+
+        /**
+         * Offer text as a file download
+         * @param {string} fileName - Suggested file name
+         * @param {string} type - MIME type
+         * @param {string} content - File content
+         */
+        download(fileName, type, content) {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    return { BatchPanel, parseBatch, parseCsv, parseBindings, convertBatch, toCsv, toJson };
+});
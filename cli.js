@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface
+ * Converts and evaluates expressions with engine.js, for shell pipelines and grading scripts.
+ *
+ *   node cli.js convert --to prefix "(a + b) * c"
+ *   printf '2 3 +\n4 5 *\n' | node cli.js eval --from postfix
+ *
+ * Exit status: 0 when every expression succeeded, 1 when any failed, 2 for a usage error.
+ */
+
+'use strict';
+
+const { ExpressionEngine, ExpressionError } = require('./engine');
+
+const USAGE = `Usage: node cli.js <command> [options] [expression ...]
+
+Commands:
+  convert              Convert expressions to another notation
+  eval                 Evaluate expressions
+
+Options:
+  --from <notation>    Notation of the input: infix (default), postfix or prefix
+  --to <notation>      Notation to convert to: postfix (default), prefix or infix
+  --var <name=value>   Give a variable a value, e.g. --var x=3 or --var p=true (repeatable)
+  --numeric <mode>     Arithmetic for eval: float (default), rational or bigint
+  --steps              Show the algorithm steps
+  --json               Write one JSON object per expression
+  -h, --help           Show this help
+
+Expressions are read from the arguments, or from standard input one per line.`;
+
+const NOTATIONS = ['infix', 'postfix', 'prefix'];
+
+/**
+ * Error raised for a malformed command line
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message - Error message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Read a '--var' value such as 'x=3' or 'p=true'
+ * @param {string} text - Assignment
+ * @returns {Array} [name, value]
+ * @throws {UsageError} If the assignment is malformed
+ */
+function parseBinding(text) {
+    const match = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(\S+)\s*$/.exec(text);
+    if (!match) {
+        throw new UsageError(`Invalid --var '${text}': expected name=value`);
+    }
+    const [, name, raw] = match;
+    const value = raw === 'true' || raw === 'false' ? raw === 'true' : Number(raw);
+    if (typeof value === 'number' && Number.isNaN(value)) {
+        throw new UsageError(`Invalid --var '${text}': '${raw}' is not a number or true/false`);
+    }
+    return [name, value];
+}
+
+/**
+ * Parse the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {{command: string, from: string, to: string, bindings: Object, numericMode: string,
+ *           steps: boolean, json: boolean, help: boolean, expressions: Array<string>}} Options
+ * @throws {UsageError} On an unknown command or option, or a missing or invalid option value
+ */
+function parseArguments(argv) {
+    const options = {
+        command: null, from: 'infix', to: 'postfix', bindings: {}, numericMode: 'float',
+        steps: false, json: false, help: false, expressions: []
+    };
+    const args = [...argv];
+
+    while (args.length > 0) {
+        const arg = args.shift();
+        // Accept both '--to prefix' and '--to=prefix'
+        const [flag, inline] = arg.startsWith('--') && arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+        const value = () => {
+            const next = inline ?? args.shift();
+            if (next === undefined) {
+                throw new UsageError(`Option ${flag} needs a value`);
+            }
+            return next;
+        };
+        const notation = () => {
+            const next = value();
+            if (!NOTATIONS.includes(next)) {
+                throw new UsageError(`Option ${flag} must be infix, postfix or prefix, not '${next}'`);
+            }
+            return next;
+        };
+
+        switch (flag) {
+            case '--from':
+                options.from = notation();
+                break;
+            case '--to':
+                options.to = notation();
+                break;
+            case '--var': {
+                const [name, bound] = parseBinding(value());
+                options.bindings[name] = bound;
+                break;
+            }
+            case '--numeric':
+                options.numericMode = value();
+                break;
+            case '--steps':
+                options.steps = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--':
+                options.expressions.push(...args.splice(0));
+                break;
+            default:
+                if (flag.startsWith('--')) {
+                    throw new UsageError(`Unknown option ${flag}`);
+                }
+                if (options.command === null) {
+                    options.command = arg;
+                } else {
+                    options.expressions.push(arg);
+                }
+        }
+    }
+
+    if (!options.help && options.command !== 'convert' && options.command !== 'eval') {
+        throw new UsageError(options.command === null ? 'Missing command' : `Unknown command '${options.command}'`);
+    }
+    return options;
+}
+
+/**
+ * Convert or evaluate one expression
+ * @param {Object} engine - ExpressionEngine, already in the requested numeric mode
+ * @param {Object} options - Options from parseArguments()
+ * @param {string} expression - Expression text
+ * @returns {{output: string, value: *, steps: Array<Object>}} Converted text or formatted value,
+ *          the raw value for eval, and the step records
+ * @throws {Error} If the expression is invalid; errors positioned in the input are ExpressionErrors
+ *                 (infix input reports every problem at once as `errors`)
+ */
+function runExpression(engine, options, expression) {
+    const { command, from, to, bindings } = options;
+    const steps = [];
+
+    if (from === 'infix') {
+        const errors = engine.diagnose(expression);
+        if (errors.length > 0) {
+            const error = new ExpressionError(errors[0].message, errors[0].start, errors[0].end);
+            error.errors = errors;
+            throw error;
+        }
+    }
+
+    if (command === 'convert') {
+        if (from === 'infix' && to === 'postfix') {
+            return { output: engine.infixToPostfix(expression, steps), value: null, steps };
+        }
+        if (from === 'infix' && to === 'prefix') {
+            return { output: engine.infixToPrefix(expression, steps), value: null, steps };
+        }
+        const ast = from === 'infix' ? engine.parse(expression)
+            : from === 'postfix' ? engine.parsePostfix(expression, steps) : engine.parsePrefix(expression, steps);
+        const output = to === 'infix' ? engine.toInfix(ast, 'minimal') : to === 'postfix' ? engine.toPostfix(ast) : engine.toPrefix(ast);
+        return { output, value: null, steps };
+    }
+
+    let value;
+    if (from === 'infix') {
+        // Check the values against the infix tokens first, so unbound variables point into the input
+        engine.checkBindings(engine.tokenizeInfix(expression), bindings);
+        const postfix = engine.infixToPostfix(expression, steps);
+        try {
+            value = engine.evaluatePostfix(postfix, bindings, steps);
+        } catch (error) {
+            // Offsets point into the generated postfix, not the input, so drop them
+            throw new Error(error.message);
+        }
+    } else {
+        // Parsing first reports a malformed expression at the token that breaks it, e.g. the
+        // operand left over in '2 3', which the evaluators cannot point at
+        if (from === 'postfix') {
+            engine.parsePostfix(expression);
+        } else {
+            engine.parsePrefix(expression);
+        }
+        value = from === 'postfix'
+            ? engine.evaluatePostfix(expression, bindings, steps)
+            : engine.evaluatePrefix(expression, bindings, steps);
+    }
+    return { output: engine.formatNumber(value), value, steps };
+}
+
+/**
+ * Write an error with a caret line under the part of the expression it points at
+ * @param {string} expression - Expression text
+ * @param {Error} error - Error, positioned if it is an ExpressionError with a start offset
+ * @returns {string} Message lines
+ */
+function formatError(expression, error) {
+    const errors = error.errors ?? [error];
+    const positioned = errors.filter(item => item instanceof ExpressionError && item.start !== null);
+    const lines = errors.map(item => `error: ${item.message}`);
+    if (positioned.length > 0) {
+        const carets = Array.from({ length: expression.length + 1 }, () => ' ');
+        for (const { start, end } of positioned) {
+            for (let i = start; i < Math.max(end, start + 1); i++) {
+                carets[i] = i === start ? '^' : '~';
+            }
+        }
+        lines.push(`  ${expression}`, `  ${carets.join('').trimEnd()}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Write step records as text, numbering the steps under each heading
+ * @param {Array<Object>} steps - Step records
+ * @returns {string} Text
+ */
+function formatSteps(steps) {
+    let number = 0;
+    return steps.map(step => {
+        if (step.kind === 'heading') {
+            number = 0;
+            return step.text;
+        }
+        number++;
+        return `  ${number}. ${step.text}`;
+    }).join('\n');
+}
+
+/**
+ * A JSON-safe copy of a result value: finite numbers and true/false as they are; exact values,
+ * Infinity and NaN as text, since JSON would write them as null
+ * @param {Object} engine - ExpressionEngine
+ * @param {*} value - Result of evaluation
+ * @returns {number|boolean|string} Value for JSON
+ */
+function jsonValue(engine, value) {
+    return Number.isFinite(value) || typeof value === 'boolean' ? value : engine.formatNumber(value);
+}
+
+/**
+ * Read every line of a stream
+ * @param {Object} stream - Readable stream
+ * @returns {Promise<Array<string>>} Lines
+ */
+function readLines(stream) {
+    return new Promise((resolve, reject) => {
+        let text = '';
+        stream.setEncoding('utf8');
+        stream.on('data', chunk => {
+            text += chunk;
+        });
+        stream.on('end', () => resolve(text.split(/\r?\n/)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Run the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {{stdin: Object, stdout: Object, stderr: Object}} io - Streams to read and write
+ * @returns {Promise<number>} Exit status
+ */
+async function main(argv, io = process) {
+    let options;
+    try {
+        options = parseArguments(argv);
+    } catch (error) {
+        io.stderr.write(`error: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+    if (options.help) {
+        io.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+
+    const engine = new ExpressionEngine();
+    try {
+        engine.setNumericMode(options.numericMode);
+    } catch (error) {
+        io.stderr.write(`error: ${error.message}\n`);
+        return 2;
+    }
+
+    let expressions = options.expressions;
+    if (expressions.length === 0) {
+        if (io.stdin.isTTY) {
+            io.stderr.write(`error: No expressions given\n\n${USAGE}\n`);
+            return 2;
+        }
+        expressions = await readLines(io.stdin);
+    }
+    // Blank lines are skipped, but errors name each expression by its line (or argument) number
+    const entries = expressions
+        .map((text, index) => ({ expression: text.trim(), number: index + 1 }))
+        .filter(entry => entry.expression !== '');
+
+    let failed = false;
+    entries.forEach(({ expression, number }, index) => {
+        let result = null;
+        let error = null;
+        try {
+            result = runExpression(engine, options, expression);
+        } catch (caught) {
+            error = caught;
+            failed = true;
+        }
+
+        if (options.json) {
+            const record = { expression, command: options.command, from: options.from };
+            if (options.command === 'convert') {
+                record.to = options.to;
+            }
+            if (result) {
+                record.output = result.output;
+                if (options.command === 'eval') {
+                    record.value = jsonValue(engine, result.value);
+                }
+                if (options.steps) {
+                    record.steps = result.steps.map(({ kind, phase, text }) => ({ kind, phase, text }));
+                }
+            } else {
+                record.errors = (error.errors ?? [error]).map(item => ({
+                    message: item.message,
+                    start: item.start ?? null,
+                    end: item.end ?? null
+                }));
+            }
+            io.stdout.write(`${JSON.stringify(record)}\n`);
+            return;
+        }
+
+        if (result) {
+            if (options.steps) {
+                io.stdout.write(`${index > 0 ? '\n' : ''}${formatSteps(result.steps)}\n`);
+            }
+            io.stdout.write(`${result.output}\n`);
+        } else {
+            const label = entries.length > 1 ? `expression ${number}: ` : '';
+            io.stderr.write(`${label}${formatError(expression, error)}\n`);
+        }
+    });
+
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(status => {
+        process.exitCode = status;
+    }).catch(error => {
+        process.stderr.write(`error: ${error.message}\n`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = { main, parseArguments, runExpression, formatError };
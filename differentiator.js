@@ -0,0 +1,285 @@
+/**
+ * Expression Differentiator
+ * Differentiates a syntax tree from engine.js with respect to one variable, recording each
+ * rule (sum, product, quotient, power, chain, ...) as it is applied.
+ * Loaded as a plain <script> it exposes `window.ExprDifferentiator`; under Node it is a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExprDifferentiator = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * @param {string} value - Literal text
+     * @returns {Object} Number node
+     */
+    function num(value) {
+        return { type: 'number', value };
+    }
+
+    /**
+     * @param {string} operator - Binary operator
+     * @param {Object} left - Left operand
+     * @param {Object} right - Right operand
+     * @returns {Object} Binary node
+     */
+    function bin(operator, left, right) {
+        return { type: 'binary', operator, left, right };
+    }
+
+    /**
+     * @param {Object} operand - Operand
+     * @returns {Object} Negation node
+     */
+    function neg(operand) {
+        return { type: 'unary', operator: '~', operand };
+    }
+
+    /**
+     * @param {string} name - Function name
+     * @param {...Object} args - Arguments
+     * @returns {Object} Call node
+     */
+    function call(name, ...args) {
+        return { type: 'call', name, args };
+    }
+
+    class Differentiator {
+        /**
+         * @param {Object} engine - ExpressionEngine used to write subexpressions in the trace
+         */
+        constructor(engine) {
+            this.engine = engine;
+        }
+
+        /**
+         * Differentiate a syntax tree. The result is not simplified; pass it through the
+         * Simplifier to tidy the 0s and 1s the rules leave behind.
+         * @param {Object} ast - Root node
+         * @param {string} variable - Variable to differentiate with respect to
+         * @param {Array|null} trace - Optional array that receives one record per rule applied
+         * @returns {Object} Derivative as a syntax tree
+         * @throws {Error} For operators and functions without a derivative, e.g. '//' or max
+         */
+        differentiate(ast, variable, trace = null) {
+            const record = (kind, text, details = {}) => {
+                if (trace) {
+                    trace.push({ kind, text, phase: 'differentiate', ...details });
+                }
+            };
+            record('heading', `Differentiating with respect to ${variable}:`);
+            const result = this.derive(ast, variable, record);
+            record('heading', `d/d${variable} = ${this.engine.toInfix(result, 'minimal')}`);
+            return result;
+        }
+
+        /**
+         * Check whether a subtree mentions a variable
+         * @param {Object} node - Syntax tree node
+         * @param {string} variable - Variable name
+         * @returns {boolean} True if the subtree depends on the variable
+         */
+        dependsOn(node, variable) {
+            switch (node.type) {
+                case 'variable':
+                    return node.name === variable;
+                case 'unary':
+                    return this.dependsOn(node.operand, variable);
+                case 'binary':
+                    return this.dependsOn(node.left, variable) || this.dependsOn(node.right, variable);
+                case 'call':
+                    return node.args.some(arg => this.dependsOn(arg, variable));
+                default:
+                    return false;
+            }
+        }
+
+        /**
+         * Derivative of one node; each rule is recorded before its parts are differentiated,
+         * so the trace reads from the whole expression down to its pieces
+         * @param {Object} node - Syntax tree node
+         * @param {string} x - Variable name
+         * @param {Function} record - Trace recorder
+         * @returns {Object} Derivative
+         */
+        derive(node, x, record) {
+            const infix = (n) => this.engine.toInfix(n, 'minimal');
+            const d = (n) => `d/d${x}(${infix(n)})`;
+            const rule = (name, formula) => record('step', `${name}: ${d(node)} = ${formula}`, { rule: name });
+
+            if (!this.dependsOn(node, x)) {
+                rule('Constant rule', '0');
+                return num('0');
+            }
+
+            if ((node.type === 'unary' || node.type === 'binary') && this.engine.isCustomOperator(node.operator)) {
+                // Custom operators are differentiated through the formula that defines them
+                const expanded = this.engine.expandOperator(node);
+                rule(`Definition of '${node.operator}'`, d(expanded));
+                return this.derive(expanded, x, record);
+            }
+
+            switch (node.type) {
+                case 'variable':
+                    rule('Variable rule', '1');
+                    return num('1');
+
+                case 'unary':
+                    if (node.operator !== '~') {
+                        throw new Error(`Operator '${node.operator}' has no derivative (its values are true/false)`);
+                    }
+                    rule('Negation rule', `-${d(node.operand)}`);
+                    return neg(this.derive(node.operand, x, record));
+
+                case 'binary':
+                    return this.deriveBinary(node, x, record, rule, d);
+
+                case 'call':
+                    return this.deriveCall(node, x, record, rule, d);
+
+                default:
+                    throw new Error(`Cannot differentiate a ${node.type} node`);
+            }
+        }
+
+        /**
+         * Derivative of a binary operator node
+         * @param {Object} node - Binary node that depends on the variable
+         * @param {string} x - Variable name
+         * @param {Function} record - Trace recorder
+         * @param {Function} rule - Records the rule applied to this node
+         * @param {Function} d - Writes 'd/dx(...)' for a subtree
+         * @returns {Object} Derivative
+         */
+        deriveBinary(node, x, record, rule, d) {
+            const u = node.left;
+            const v = node.right;
+            const uVaries = this.dependsOn(u, x);
+            const vVaries = this.dependsOn(v, x);
+            // Operands written into a formula are parenthesised unless they bind at least as tightly as `precedence`
+            const infix = (n, precedence = 0) => {
+                const text = this.engine.toInfix(n, 'minimal');
+                return this.engine.nodePrecedence(n) < precedence ? `(${text})` : text;
+            };
+            const product = this.engine.getPrecedence('*') + 1;
+            const du = () => this.derive(u, x, record);
+            const dv = () => this.derive(v, x, record);
+
+            switch (node.operator) {
+                case '+':
+                case '-':
+                    rule(node.operator === '+' ? 'Sum rule' : 'Difference rule', `${d(u)} ${node.operator} ${d(v)}`);
+                    return bin(node.operator, du(), dv());
+
+                case '*':
+                    if (!uVaries) {
+                        rule('Constant multiple rule', `${infix(u, product)} * ${d(v)}`);
+                        return bin('*', u, dv());
+                    }
+                    if (!vVaries) {
+                        rule('Constant multiple rule', `${d(u)} * ${infix(v, product)}`);
+                        return bin('*', du(), v);
+                    }
+                    rule('Product rule', `${d(u)} * ${infix(v, product)} + ${infix(u, product)} * ${d(v)}`);
+                    return bin('+', bin('*', du(), v), bin('*', u, dv()));
+
+                case '/':
+                    if (!vVaries) {
+                        rule('Constant multiple rule', `${d(u)} / ${infix(v, product)}`);
+                        return bin('/', du(), v);
+                    }
+                    rule('Quotient rule', `(${d(u)} * ${infix(v, product)} - ${infix(u, product)} * ${d(v)}) / ${infix(v, Infinity)} ^ 2`);
+                    return bin('/', bin('-', bin('*', du(), v), bin('*', u, dv())), bin('^', v, num('2')));
+
+                case '^':
+                    return this.derivePower(u, v, x, record, rule, d);
+
+                default:
+                    throw new Error(`Operator '${node.operator}' has no derivative (${this.engine.isLogical(node.operator) || this.engine.isRelational(node.operator) ? 'its values are true/false' : 'it is not smooth'})`);
+            }
+        }
+
+        /**
+         * Derivative of u ^ v, shared by '^' and pow()
+         * @param {Object} u - Base
+         * @param {Object} v - Exponent
+         * @param {string} x - Variable name
+         * @param {Function} record - Trace recorder
+         * @param {Function} rule - Records the rule applied to this node
+         * @param {Function} d - Writes 'd/dx(...)' for a subtree
+         * @returns {Object} Derivative
+         */
+        derivePower(u, v, x, record, rule, d) {
+            const infix = (n) => this.engine.toInfix(n, 'minimal');
+            const chain = u.type === 'variable' ? '' : ` * ${d(u)}`;
+
+            if (!this.dependsOn(v, x)) {
+                // Power rule: n * u^(n-1), times u' by the chain rule
+                const power = bin('*', v, bin('^', u, bin('-', v, num('1'))));
+                rule(chain ? 'Power rule with chain rule' : 'Power rule', `${infix(power)}${chain}`);
+                return bin('*', power, this.derive(u, x, record));
+            }
+            if (!this.dependsOn(u, x)) {
+                // Exponential rule: a^v * ln(a), times v' by the chain rule
+                const exponential = bin('*', bin('^', u, v), call('log', u));
+                const vChain = v.type === 'variable' ? '' : ` * ${d(v)}`;
+                rule(vChain ? 'Exponential rule with chain rule' : 'Exponential rule', `${infix(exponential)}${vChain}`);
+                return bin('*', exponential, this.derive(v, x, record));
+            }
+            // General power: d(u^v) = u^v * (v' * ln(u) + v * u' / u)
+            const wrap = (n) => (this.engine.nodePrecedence(n) === Infinity ? infix(n) : `(${infix(n)})`);
+            rule('General power rule', `${infix(bin('^', u, v))} * (${d(v)} * log(${infix(u)}) + ${wrap(v)} * ${d(u)} / ${wrap(u)})`);
+            const dv = this.derive(v, x, record);
+            const du = this.derive(u, x, record);
+            return bin('*', bin('^', u, v), bin('+', bin('*', dv, call('log', u)), bin('/', bin('*', v, du), u)));
+        }
+
+        /**
+         * Derivative of a function call: the function's own derivative times the derivative
+         * of its argument (chain rule)
+         * @param {Object} node - Call node that depends on the variable
+         * @param {string} x - Variable name
+         * @param {Function} record - Trace recorder
+         * @param {Function} rule - Records the rule applied to this node
+         * @param {Function} d - Writes 'd/dx(...)' for a subtree
+         * @returns {Object} Derivative
+         */
+        deriveCall(node, x, record, rule, d) {
+            const [u, base] = node.args;
+            const infix = (n) => this.engine.toInfix(n, 'minimal');
+
+            if (node.name === 'pow') {
+                return this.derivePower(u, base, x, record, rule, d);
+            }
+            if (node.name === 'log' && base) {
+                // log(u, b) = log(u) / log(b)
+                rule('Change of base', `${d(bin('/', call('log', u), call('log', base)))}`);
+                return this.derive(bin('/', call('log', u), call('log', base)), x, record);
+            }
+
+            // Outer derivative f'(u) for each function, written in terms of u
+            const outer = {
+                sqrt: () => bin('/', num('1'), bin('*', num('2'), call('sqrt', u))),
+                abs: () => bin('/', u, call('abs', u)),
+                log: () => bin('/', num('1'), u),
+                sin: () => call('cos', u),
+                cos: () => neg(call('sin', u))
+            }[node.name];
+            if (!outer) {
+                throw new Error(`Function '${node.name}' has no derivative (it is not smooth)`);
+            }
+
+            const derivative = outer();
+            const chain = u.type === 'variable' ? '' : ` * ${d(u)}`;
+            rule(chain ? `Derivative of ${node.name} with chain rule` : `Derivative of ${node.name}`, `${infix(derivative)}${chain}`);
+            return bin('*', derivative, this.derive(u, x, record));
+        }
+    }
+
+    return { Differentiator };
+});
@@ -0,0 +1,1832 @@
+/**
+ * Expression Engine
+ * DOM-free core of the converter: validation, infix to postfix/prefix conversion and evaluation.
+ * Loaded as a plain <script> (after numeric.js) it exposes `window.ExprEngine`; under Node it is
+ * a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./numeric'));
+    } else {
+        root.ExprEngine = factory(root.ExprNumeric);
+    }
+})(typeof self !== 'undefined' ? self : this, function (numeric) {
+    'use strict';
+
+    const { Rational, NUMERIC_MODES } = numeric;
+
+    // Sticky patterns used by the lexer; `lastIndex` is set before each match
+    const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    const IDENTIFIER_PATTERN = /[A-Za-z_][A-Za-z0-9_]*/y;
+    // Explicit argument count on a function in postfix/prefix, e.g. the '@3' of 'max@3'
+    const ARITY_SUFFIX_PATTERN = /@(\d+)/y;
+    // Symbols a custom operator may use: a word such as 'mod', or a run of punctuation such as '<>'
+    const OPERATOR_SYMBOL_PATTERN = /^(?:[A-Za-z_][A-Za-z0-9_]*|[!#$%&*+\-/:<=>?\\^|~]+)$/;
+
+    /**
+     * Error raised for malformed input, carrying the offending source range
+     */
+    class ExpressionError extends Error {
+        /**
+         * @param {string} message - Error message
+         * @param {number|null} start - Offset of the first offending character
+         * @param {number|null} end - Offset just past the offending range
+         */
+        constructor(message, start = null, end = null) {
+            super(message);
+            this.name = 'ExpressionError';
+            this.start = start;
+            this.end = end === null && start !== null ? start + 1 : end;
+        }
+    }
+
+    /**
+     * Error raised when an expression is evaluated without values for some of its variables
+     */
+    class UnboundVariablesError extends ExpressionError {
+        /**
+         * @param {Array<Object>} tokens - First occurrence of each unbound variable
+         */
+        constructor(tokens) {
+            const names = tokens.map(token => `'${token.value}'`).join(', ');
+            super(`No value assigned to variable${tokens.length === 1 ? '' : 's'} ${names}`, tokens[0].start, tokens[0].end);
+            this.name = 'UnboundVariablesError';
+            this.variables = tokens.map(token => token.value);
+        }
+    }
+
+    /**
+     * Check if a token can end an operand (number, variable or closing parenthesis)
+     * @param {Object} token - Token to check
+     * @returns {boolean} True if the token ends an operand
+     */
+    function endsOperand(token) {
+        return token.type === 'number' || token.type === 'identifier' || token.type === 'rightParen';
+    }
+
+    /**
+     * Check if a token can start an operand (number, variable, function, unary operator or opening parenthesis)
+     * @param {Object} token - Token to check
+     * @returns {boolean} True if the token starts an operand
+     */
+    function startsOperand(token) {
+        return token.type === 'number' || token.type === 'identifier' || token.type === 'function' ||
+               token.type === 'unary' || token.type === 'leftParen';
+    }
+
+    /**
+     * Append a step record to a trace, if one is being collected.
+     *
+     * Step records of kind 'step' also describe the machine state after the step:
+     * `phase` ('postfix', 'prefix', 'evaluate-postfix' or 'evaluate-prefix'), `source` (the text
+     * being scanned), `token` and `cursor` ({start, end} in `source`, null once input is exhausted),
+     * `action`, and snapshots of `stack` and `output`.
+     *
+     * @param {Array|null} trace - Trace to append to
+     * @param {string} kind - 'heading' or 'step'
+     * @param {string} text - Human readable description
+     * @param {Object} details - Extra fields for the record
+     */
+    function recordStep(trace, kind, text, details = {}) {
+        if (trace) {
+            trace.push({ kind, text, ...details });
+        }
+    }
+
+    /**
+     * Describe one application of an operator or function, e.g. '2 * 3', '-(4)' or 'max(1, 2)'
+     * @param {string} kind - 'unary', 'binary' or 'call'
+     * @param {string} symbol - Operator symbol or function name
+     * @param {Array<number>} operands - Operand values in call order
+     * @returns {string} Description
+     */
+    function describeComputation(kind, symbol, operands) {
+        if (kind === 'unary') {
+            return `${symbol === '~' ? '-' : symbol}(${operands[0]})`;
+        }
+        if (kind === 'binary') {
+            return `${operands[0]} ${symbol} ${operands[1]}`;
+        }
+        return `${symbol}(${operands.join(', ')})`;
+    }
+
+    /**
+     * Build a step recorder for one phase of an algorithm
+     * @param {Array|null} trace - Trace to append to
+     * @param {string} phase - Phase name
+     * @param {string} source - Text being scanned
+     * @param {Function} snapshot - Returns the current {stack, output}
+     * @returns {Function} (token, action, text, extra) => void
+     */
+    function stepRecorder(trace, phase, source, snapshot) {
+        return (token, action, text, extra = {}) => {
+            if (!trace) {
+                return;
+            }
+            recordStep(trace, 'step', text, {
+                phase,
+                source,
+                token: token ? token.value : null,
+                cursor: token ? { start: token.start, end: token.end } : null,
+                action,
+                ...snapshot(),
+                ...extra
+            });
+        };
+    }
+
+    class ExpressionEngine {
+        constructor() {
+            this.operators = {
+                // Logic: implication binds loosest and is right-associative, a -> b -> c is a -> (b -> c)
+                '->': { precedence: 1, associativity: 'right', logical: true },
+                '||': { precedence: 2, associativity: 'left', logical: true },
+                '^^': { precedence: 3, associativity: 'left', logical: true },
+                'xor': { precedence: 3, associativity: 'left', logical: true },
+                '&&': { precedence: 4, associativity: 'left', logical: true },
+                // Comparisons bind looser than arithmetic, so a + 1 < b * 2 compares two sums
+                '==': { precedence: 5, associativity: 'left', relational: true },
+                '!=': { precedence: 5, associativity: 'left', relational: true },
+                '<': { precedence: 6, associativity: 'left', relational: true },
+                '<=': { precedence: 6, associativity: 'left', relational: true },
+                '>': { precedence: 6, associativity: 'left', relational: true },
+                '>=': { precedence: 6, associativity: 'left', relational: true },
+                '+': { precedence: 7, associativity: 'left' },
+                '-': { precedence: 7, associativity: 'left' },
+                '*': { precedence: 8, associativity: 'left' },
+                '/': { precedence: 8, associativity: 'left' },
+                '%': { precedence: 8, associativity: 'left' },
+                '//': { precedence: 8, associativity: 'left' },
+                // Negation: written '-' in infix, '~' in postfix/prefix so it cannot be confused with subtraction
+                '~': { precedence: 9, associativity: 'right', unary: true },
+                '!': { precedence: 9, associativity: 'right', unary: true, logical: true },
+                // Binds tighter than negation, so -2^2 is -(2^2)
+                '^': { precedence: 10, associativity: 'right' }
+            };
+
+            // Names that read as values rather than variables
+            this.constants = { true: true, false: false };
+
+            // Built-in functions. `arity` is the usual argument count; calls with any other
+            // count (within minArity..maxArity) are written 'name@count' in postfix/prefix
+            this.functions = {
+                sqrt: { arity: 1, evaluate: x => {
+                    if (x < 0) {
+                        throw new Error('Square root of a negative number');
+                    }
+                    return Math.sqrt(x);
+                } },
+                abs: { arity: 1, evaluate: Math.abs },
+                log: { arity: 1, maxArity: 2, evaluate: (x, base) => {
+                    if (x <= 0 || (base !== undefined && (base <= 0 || base === 1))) {
+                        throw new Error('Logarithm of a non-positive number or invalid base');
+                    }
+                    return base === undefined ? Math.log(x) : Math.log(x) / Math.log(base);
+                } },
+                sin: { arity: 1, evaluate: Math.sin },
+                cos: { arity: 1, evaluate: Math.cos },
+                pow: { arity: 2, evaluate: Math.pow },
+                min: { arity: 2, minArity: 1, maxArity: Infinity, evaluate: Math.min },
+                max: { arity: 2, minArity: 1, maxArity: Infinity, evaluate: Math.max }
+            };
+
+            // Arithmetic used by the evaluators: 'float', 'rational' or 'bigint' (see numeric.js)
+            this.numericMode = 'float';
+        }
+
+        /**
+         * Add or replace a custom operator. Its value is given by a formula over the existing
+         * operators and functions, in which `a` stands for the left (or only) operand and `b`
+         * for the right one. Once defined, the operator is accepted by validation, both
+         * conversions and both evaluators like a built-in one.
+         * @param {Object} definition - Operator definition
+         * @param {string} definition.symbol - A word such as 'mod' or punctuation such as '<>'
+         * @param {number} definition.arity - 2 for a binary operator, 1 for a prefix unary one
+         * @param {number} definition.precedence - Positive; built-ins run from 1 ('->') to 10 ('^')
+         * @param {string} definition.associativity - 'left' or 'right' (unary operators are always 'right')
+         * @param {string} definition.formula - Infix formula, e.g. '(a + b) / 2'
+         * @throws {Error} If the symbol is taken by a built-in, or the formula is invalid or uses the operator itself
+         */
+        defineOperator({ symbol, arity = 2, precedence, associativity = 'left', formula }) {
+            if (typeof symbol !== 'string' || !OPERATOR_SYMBOL_PATTERN.test(symbol)) {
+                throw new Error(`Operator symbol '${symbol}' must be a word such as 'mod' or made of the characters ! # $ % & * + - / : < = > ? \\ ^ | ~`);
+            }
+            if (this.isOperator(symbol) && !this.isCustomOperator(symbol)) {
+                throw new Error(`'${symbol}' is a built-in operator`);
+            }
+            if (this.isFunction(symbol) || this.isConstant(symbol) || symbol === 'a' || symbol === 'b') {
+                throw new Error(`'${symbol}' is already a ${this.isFunction(symbol) ? 'function' : this.isConstant(symbol) ? 'constant' : 'formula operand'} name`);
+            }
+            if (arity !== 1 && arity !== 2) {
+                throw new Error(`Operator '${symbol}' must take 1 or 2 operands, not ${arity}`);
+            }
+            if (typeof precedence !== 'number' || !Number.isFinite(precedence) || precedence <= 0) {
+                throw new Error(`Precedence of '${symbol}' must be a positive number`);
+            }
+            if (associativity !== 'left' && associativity !== 'right') {
+                throw new Error(`Associativity of '${symbol}' must be 'left' or 'right'`);
+            }
+            const users = this.customOperatorUsers(symbol);
+            if (this.isCustomOperator(symbol) && this.operators[symbol].custom.arity !== arity && users.length > 0) {
+                throw new Error(`Operator '${symbol}' cannot change its number of operands while '${users[0]}' uses it`);
+            }
+
+            let body;
+            try {
+                body = this.parse(String(formula ?? ''));
+            } catch (error) {
+                throw new Error(`Formula for '${symbol}': ${error.message}`);
+            }
+            const operands = arity === 1 ? ['a'] : ['a', 'b'];
+            const stray = this.findVariables(this.toPostfix(body)).find(name => !operands.includes(name));
+            if (stray) {
+                throw new Error(`Formula for '${symbol}' can only use ${operands.join(' and ')}, not '${stray}'`);
+            }
+            if (this.operatorsUsed(body).has(symbol)) {
+                throw new Error(`Formula for '${symbol}' cannot use '${symbol}' itself`);
+            }
+
+            this.operators[symbol] = {
+                precedence,
+                associativity: arity === 1 ? 'right' : associativity,
+                unary: arity === 1,
+                custom: { arity, formula: String(formula), body }
+            };
+        }
+
+        /**
+         * Remove a custom operator
+         * @param {string} symbol - Operator symbol
+         * @throws {Error} If the operator is built in or another custom operator's formula uses it
+         */
+        removeOperator(symbol) {
+            if (!this.isCustomOperator(symbol)) {
+                throw new Error(`'${symbol}' is not a custom operator`);
+            }
+            const [user] = this.customOperatorUsers(symbol);
+            if (user) {
+                throw new Error(`Operator '${symbol}' is used in the formula of '${user}'`);
+            }
+            delete this.operators[symbol];
+        }
+
+        /**
+         * List the custom operators so that each comes after the operators its formula uses,
+         * which is an order they can be defined again in (e.g. after reloading them from storage)
+         * @returns {Array<{symbol: string, arity: number, precedence: number, associativity: string, formula: string}>}
+         *          Definitions as accepted by defineOperator()
+         */
+        customOperators() {
+            const ordered = [];
+            const visit = (symbol) => {
+                if (ordered.some(definition => definition.symbol === symbol)) {
+                    return;
+                }
+                const { precedence, associativity, custom } = this.operators[symbol];
+                this.operatorsUsed(custom.body, new Set(), false).forEach(used => {
+                    if (this.isCustomOperator(used)) {
+                        visit(used);
+                    }
+                });
+                ordered.push({ symbol, arity: custom.arity, precedence, associativity, formula: custom.formula });
+            };
+            Object.keys(this.operators).filter(symbol => this.isCustomOperator(symbol)).forEach(visit);
+            return ordered;
+        }
+
+        /**
+         * Custom operators whose formulas use an operator, directly or through other custom operators
+         * @param {string} symbol - Operator symbol
+         * @returns {Array<string>} Symbols of the dependent operators
+         */
+        customOperatorUsers(symbol) {
+            return Object.keys(this.operators).filter(other =>
+                other !== symbol && this.isCustomOperator(other) && this.operatorsUsed(this.operators[other].custom.body).has(symbol));
+        }
+
+        /**
+         * Collect the operators in a syntax tree
+         * @param {Object} node - Syntax tree node
+         * @param {Set<string>} used - Set to add to
+         * @param {boolean} expand - Also collect the operators in the formulas of custom operators found
+         * @returns {Set<string>} Operator symbols
+         */
+        operatorsUsed(node, used = new Set(), expand = true) {
+            switch (node.type) {
+                case 'unary':
+                case 'binary':
+                    if (expand && this.isCustomOperator(node.operator) && !used.has(node.operator)) {
+                        used.add(node.operator);
+                        this.operatorsUsed(this.operators[node.operator].custom.body, used, expand);
+                    }
+                    used.add(node.operator);
+                    (node.type === 'unary' ? [node.operand] : [node.left, node.right]).forEach(child => this.operatorsUsed(child, used, expand));
+                    break;
+                case 'call':
+                    node.args.forEach(arg => this.operatorsUsed(arg, used, expand));
+                    break;
+                default:
+                    break;
+            }
+            return used;
+        }
+
+        /**
+         * Replace a custom operator node by its formula, with the operands put in place of a and b
+         * @param {Object} node - Unary or binary node whose operator is custom
+         * @returns {Object} Syntax tree of the formula
+         */
+        expandOperator(node) {
+            const { body } = this.operators[node.operator].custom;
+            const operands = node.type === 'unary' ? { a: node.operand } : { a: node.left, b: node.right };
+            const substitute = (n) => {
+                switch (n.type) {
+                    case 'variable':
+                        return operands[n.name] ?? n;
+                    case 'unary':
+                        return { ...n, operand: substitute(n.operand) };
+                    case 'binary':
+                        return { ...n, left: substitute(n.left), right: substitute(n.right) };
+                    case 'call':
+                        return { ...n, args: n.args.map(substitute) };
+                    default:
+                        return n;
+                }
+            };
+            return substitute(body);
+        }
+
+        /**
+         * Switch the arithmetic used by evaluatePostfix and evaluatePrefix
+         * @param {string} mode - 'float', 'rational' (exact fractions) or 'bigint' (exact integers)
+         */
+        setNumericMode(mode) {
+            if (!Object.prototype.hasOwnProperty.call(NUMERIC_MODES, mode)) {
+                throw new Error(`Unknown numeric mode: ${mode}`);
+            }
+            this.numericMode = mode;
+        }
+
+        /**
+         * Arithmetic for the current numeric mode
+         * @returns {Object} Mode object from numeric.js
+         */
+        arithmetic() {
+            return NUMERIC_MODES[this.numericMode];
+        }
+
+        /**
+         * Format an evaluation result for display: '7/3' in rational mode, digits otherwise,
+         * 'true'/'false' for logic results
+         * @param {number|Rational|bigint|boolean} value - Result from evaluatePostfix/evaluatePrefix
+         * @returns {string} Display text
+         */
+        formatNumber(value) {
+            return typeof value === 'boolean' ? String(value) : this.arithmetic().format(value);
+        }
+
+        /**
+         * Split source text into typed tokens with source offsets
+         * @param {string} source - Expression text (whitespace is allowed between tokens)
+         * @param {Array|null} errors - If given, invalid characters are appended here as errors and
+         *                              returned as 'invalid' tokens instead of throwing
+         * @param {boolean} infix - Whether the source is infix, where negation is written '-' and '~' is not allowed
+         * @returns {Array<{type: string, value: string, start: number, end: number}>} Tokens
+         * @throws {ExpressionError} On a character that cannot start any token, unless `errors` is given
+         */
+        tokenize(source, errors = null, infix = false) {
+            const tokens = [];
+            const allowed = Object.keys(this.operators).filter(symbol => !infix || symbol !== '~');
+            const symbols = [...allowed].sort((a, b) => b.length - a.length);
+            let i = 0;
+
+            while (i < source.length) {
+                const char = source[i];
+
+                if (/\s/.test(char)) {
+                    i++;
+                    continue;
+                }
+
+                let type = null;
+                let value = null;
+
+                NUMBER_PATTERN.lastIndex = i;
+                IDENTIFIER_PATTERN.lastIndex = i;
+                const number = NUMBER_PATTERN.exec(source);
+                const identifier = number ? null : IDENTIFIER_PATTERN.exec(source);
+
+                if (number) {
+                    type = 'number';
+                    value = number[0];
+                } else if (identifier) {
+                    // Word operators such as 'xor' are spelled like identifiers
+                    type = this.isOperator(identifier[0]) ? 'operator' : 'identifier';
+                    value = identifier[0];
+                    ARITY_SUFFIX_PATTERN.lastIndex = i + value.length;
+                    const arity = ARITY_SUFFIX_PATTERN.exec(source);
+                    if (arity) {
+                        tokens.push({
+                            type: 'function', value: value + arity[0], name: value, arity: Number(arity[1]),
+                            start: i, end: i + value.length + arity[0].length
+                        });
+                        i += value.length + arity[0].length;
+                        continue;
+                    }
+                } else if (char === ',') {
+                    type = 'comma';
+                    value = char;
+                } else if (char === '(') {
+                    type = 'leftParen';
+                    value = char;
+                } else if (char === ')') {
+                    type = 'rightParen';
+                    value = char;
+                } else {
+                    value = symbols.find(symbol => source.startsWith(symbol, i));
+                    type = value ? 'operator' : null;
+                }
+
+                if (!type) {
+                    const error = new ExpressionError(
+                        `Invalid character '${char}' at index ${i}. Only letters, numbers, ${allowed.join(', ')}, (, ), commas and spaces are allowed.`,
+                        i
+                    );
+                    if (!errors) {
+                        throw error;
+                    }
+                    errors.push(error);
+                    tokens.push({ type: 'invalid', value: char, start: i, end: i + 1 });
+                    i++;
+                    continue;
+                }
+
+                tokens.push({ type, value, start: i, end: i + value.length });
+                i += value.length;
+            }
+
+            return tokens;
+        }
+
+        /**
+         * Mark '+' and '-' tokens that have no left operand as unary, so '-3', '2*-3' and '-(a+b)'
+         * are read as sign changes rather than subtraction. Unary-only operators such as '!' always are.
+         * @param {Array<Object>} tokens - Tokens from tokenize()
+         * @returns {Array<Object>} Tokens with unary operators retyped to 'unary'
+         */
+        resolveUnaryOperators(tokens) {
+            return tokens.map((token, index) => {
+                if (token.type !== 'operator') {
+                    return token;
+                }
+                const previous = tokens[index - 1];
+                const hasLeftOperand = previous !== undefined && endsOperand(previous);
+                if (this.isUnary(token.value) || ((token.value === '-' || token.value === '+') && !hasLeftOperand)) {
+                    return { ...token, type: 'unary' };
+                }
+                return token;
+            });
+        }
+
+        /**
+         * Mark identifiers directly followed by '(' as function calls
+         * @param {Array<Object>} tokens - Tokens from tokenize()
+         * @returns {Array<Object>} Tokens with call names retyped to 'function'
+         */
+        resolveFunctionCalls(tokens) {
+            return tokens.map((token, index) => {
+                const next = tokens[index + 1];
+                if (token.type === 'identifier' && next && next.type === 'leftParen') {
+                    return { ...token, type: 'function', name: token.value };
+                }
+                return token;
+            });
+        }
+
+        /**
+         * Tokenize infix text and resolve function calls and unary operators
+         * @param {string} infix - Infix expression
+         * @param {Array|null} errors - Passed on to tokenize() to collect invalid characters
+         * @returns {Array<Object>} Infix tokens
+         */
+        tokenizeInfix(infix, errors = null) {
+            return this.resolveUnaryOperators(this.resolveFunctionCalls(this.tokenize(infix, errors, true)));
+        }
+
+        /**
+         * Check if a name is a registered function
+         * @param {string} name - Name to check
+         * @returns {boolean} True if function
+         */
+        isFunction(name) {
+            return Object.prototype.hasOwnProperty.call(this.functions, name);
+        }
+
+        /**
+         * Check an argument count against a function's accepted range
+         * @param {string} name - Function name
+         * @param {number} argCount - Number of arguments supplied
+         * @returns {string|null} Error message, or null if the count is accepted
+         */
+        checkArity(name, argCount) {
+            const fn = this.functions[name];
+            const min = fn.minArity ?? fn.arity;
+            const max = fn.maxArity ?? fn.arity;
+            if (argCount >= min && argCount <= max) {
+                return null;
+            }
+            const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+            return `Function '${name}' expects ${expected} argument${/\b1$/.test(expected) ? '' : 's'} but got ${argCount}`;
+        }
+
+        /**
+         * Postfix/prefix token for a function call: the bare name for its usual arity, else 'name@count'
+         * @param {string} name - Function name
+         * @param {number} argCount - Number of arguments
+         * @returns {string} Output token
+         */
+        functionToken(name, argCount) {
+            return argCount === this.functions[name].arity ? name : `${name}@${argCount}`;
+        }
+
+        /**
+         * Output token for a unary infix token: '~' for negation, null for a no-op unary plus,
+         * the operator itself for unary-only operators such as '!'
+         * @param {Object} token - Token of type 'unary'
+         * @returns {string|null} Postfix/prefix token
+         */
+        unaryOperatorFor(token) {
+            if (token.value === '+') {
+                return null;
+            }
+            return token.value === '-' ? '~' : token.value;
+        }
+
+        /**
+         * How a unary operator is written in infix: '~' is written '-'
+         * @param {string} op - Unary operator
+         * @returns {string} Infix symbol
+         */
+        unarySymbol(op) {
+            return op === '~' ? '-' : op;
+        }
+
+        /**
+         * Validate infix expression
+         * @param {string} expression - Expression to validate
+         * @throws {ExpressionError} The first problem found by diagnose(), if any
+         */
+        validateExpression(expression) {
+            const [first] = this.diagnose(expression);
+            if (first) {
+                throw first;
+            }
+        }
+
+        /**
+         * Check an infix expression and collect every problem rather than stopping at the first
+         * @param {string} expression - Expression to check
+         * @returns {Array<ExpressionError>} Problems ordered by position, each with its source range
+         */
+        diagnose(expression) {
+            const errors = [];
+            const report = (message, start, end = null) => errors.push(new ExpressionError(message, start, end));
+
+            // Invalid characters are reported by the tokenizer and left in place as 'invalid'
+            // tokens, so the checks below do not mistake "2 $ 3" for a missing operator
+            const tokens = this.tokenizeInfix(expression, errors);
+            if (tokens.length === 0) {
+                report('Please enter an infix expression', 0, 0);
+                return errors;
+            }
+
+            // Check function names before anything else reads them as variables
+            for (const token of tokens) {
+                if (token.type === 'function' && token.arity !== undefined) {
+                    report(`Argument counts like '${token.value}' are only used in postfix/prefix`, token.start, token.end);
+                } else if (token.type === 'function' && !this.isFunction(token.name)) {
+                    report(`Unknown function '${token.name}' at index ${token.start}`, token.start, token.end);
+                } else if (token.type === 'identifier' && this.isFunction(token.value)) {
+                    report(`Function '${token.value}' at index ${token.start} must be followed by '('`, token.start, token.end);
+                }
+            }
+
+            // Check for balanced parentheses, counting the arguments of each function call
+            const openParens = [];
+            tokens.forEach((token, index) => {
+                if (token.type === 'leftParen') {
+                    const previous = tokens[index - 1];
+                    const call = previous && previous.type === 'function' && this.isFunction(previous.name) ? previous : null;
+                    const empty = tokens[index + 1] && tokens[index + 1].type === 'rightParen';
+                    openParens.push({ token, call, args: empty ? 0 : 1 });
+                } else if (token.type === 'comma') {
+                    const group = openParens[openParens.length - 1];
+                    if (!group || !group.call) {
+                        report(`Unexpected ',' at index ${token.start} outside a function call`, token.start);
+                    } else {
+                        group.args++;
+                    }
+                } else if (token.type === 'rightParen') {
+                    const group = openParens.pop();
+                    if (!group) {
+                        report(`Stray ')' at index ${token.start} has no matching '('`, token.start);
+                        return;
+                    }
+                    const arityError = group.call && this.checkArity(group.call.name, group.args);
+                    if (arityError) {
+                        report(arityError, group.call.start, token.end);
+                    }
+                }
+            });
+            for (const group of openParens) {
+                report(`Unmatched '(' at index ${group.token.start} is never closed`, group.token.start);
+            }
+
+            for (let i = 1; i < tokens.length; i++) {
+                const previous = tokens[i - 1];
+                const token = tokens[i];
+
+                // Check for consecutive operators (a sign after an operator, as in "2*-3", is fine)
+                if ((previous.type === 'operator' || previous.type === 'unary') && token.type === 'operator') {
+                    report(`Consecutive operators '${previous.value}' and '${token.value}' at index ${previous.start}`, previous.start, token.end);
+                }
+
+                // Check for operators cut off by parentheses or commas, e.g. "(*a)", "(a+)" or "max(a+, b)"
+                if ((previous.type === 'leftParen' || previous.type === 'comma') && token.type === 'operator') {
+                    report(`Operator '${token.value}' at index ${token.start} is missing its left operand`, token.start, token.end);
+                }
+                if ((previous.type === 'operator' || previous.type === 'unary') &&
+                    (token.type === 'rightParen' || token.type === 'comma')) {
+                    report(`Operator '${previous.value}' at index ${previous.start} is missing its right operand`, previous.start, previous.end);
+                }
+
+                // Check for empty arguments, e.g. "max(, b)" or "max(a,)"
+                if ((previous.type === 'leftParen' || previous.type === 'comma') && token.type === 'comma' ||
+                    previous.type === 'comma' && token.type === 'rightParen') {
+                    report(`Empty function argument at index ${token.start}`, previous.start, token.end);
+                }
+
+                // Check for two operands with nothing between them, e.g. "2 3" or "2(3)"
+                if (endsOperand(previous) && startsOperand(token)) {
+                    report(`Missing operator between '${previous.value}' and '${token.value}' at index ${token.start}`, previous.start, token.end);
+                }
+
+                // Check for empty parentheses (a call with no arguments was reported with its arity)
+                if (previous.type === 'leftParen' && token.type === 'rightParen' && !(tokens[i - 2] && tokens[i - 2].type === 'function')) {
+                    report(`Empty parentheses at index ${previous.start} are not allowed`, previous.start, token.end);
+                }
+            }
+
+            // Check for operator at start/end (a leading sign is unary, not an operator here)
+            const first = tokens[0];
+            const last = tokens[tokens.length - 1];
+            if (first && (first.type === 'operator' || first.type === 'comma')) {
+                report(`Expression cannot start with '${first.value}'`, first.start, first.end);
+            }
+            if (last && (last.type === 'operator' || last.type === 'unary')) {
+                report(`Expression cannot end with '${last.value}'`, last.start, last.end);
+            }
+
+            return errors.sort((a, b) => a.start - b.start);
+        }
+
+        /**
+         * Check if a symbol is an operator
+         * @param {string} symbol - Symbol to check
+         * @returns {boolean} True if operator
+         */
+        isOperator(symbol) {
+            return Object.prototype.hasOwnProperty.call(this.operators, symbol);
+        }
+
+        /**
+         * Get operator precedence
+         * @param {string} op - Operator
+         * @returns {number} Precedence value
+         */
+        getPrecedence(op) {
+            return this.operators[op]?.precedence || 0;
+        }
+
+        /**
+         * Check if operator takes a single operand
+         * @param {string} op - Operator
+         * @returns {boolean} True if unary
+         */
+        isUnary(op) {
+            return this.operators[op]?.unary === true;
+        }
+
+        /**
+         * Check if operator works on true/false values ('!', '&&', '||', '^^', 'xor', '->')
+         * @param {string} op - Operator
+         * @returns {boolean} True if logical
+         */
+        isLogical(op) {
+            return this.operators[op]?.logical === true;
+        }
+
+        /**
+         * Check if operator compares two numbers to give true/false
+         * @param {string} op - Operator
+         * @returns {boolean} True if relational
+         */
+        isRelational(op) {
+            return this.operators[op]?.relational === true;
+        }
+
+        /**
+         * Check if a name is a built-in constant such as 'true'
+         * @param {string} name - Name to check
+         * @returns {boolean} True if constant
+         */
+        isConstant(name) {
+            return Object.prototype.hasOwnProperty.call(this.constants, name);
+        }
+
+        /**
+         * Check if an operator was added with defineOperator()
+         * @param {string} op - Operator
+         * @returns {boolean} True if custom
+         */
+        isCustomOperator(op) {
+            return this.operators[op]?.custom !== undefined;
+        }
+
+        /**
+         * Check if operator is left associative
+         * @param {string} op - Operator
+         * @returns {boolean} True if left associative
+         */
+        isLeftAssociative(op) {
+            return this.operators[op]?.associativity === 'left';
+        }
+
+        /**
+         * Convert an expression to all three notations, collecting the algorithm trace
+         * @param {string} expression - Expression text
+         * @param {string} notation - Notation of the input: 'infix', 'postfix' or 'prefix'
+         * @returns {{ast: Object, postfix: string, prefix: string, infix: string, parenthesized: string, steps: Array<Object>}}
+         *          Conversion results; `infix` uses minimal parentheses, `parenthesized` one pair per operator
+         */
+        convert(expression, notation = 'infix') {
+            const steps = [];
+            let ast;
+            if (notation === 'infix') {
+                this.infixToPostfix(expression, steps);
+                this.infixToPrefix(expression, steps);
+                ast = this.parse(expression);
+            } else if (notation === 'postfix') {
+                ast = this.parsePostfix(expression, steps);
+            } else if (notation === 'prefix') {
+                ast = this.parsePrefix(expression, steps);
+            } else {
+                throw new Error(`Unknown notation: ${notation}`);
+            }
+
+            return {
+                ast,
+                postfix: this.toPostfix(ast),
+                prefix: this.toPrefix(ast),
+                infix: this.toInfix(ast, 'minimal'),
+                parenthesized: this.toInfix(ast, 'full'),
+                steps
+            };
+        }
+
+        /**
+         * Parse infix into an abstract syntax tree using the Shunting Yard algorithm.
+         * Each node carries the `start`/`end` offsets of the source text it was built from.
+         *
+         * Node shapes: { type: 'number', value }, { type: 'variable', name },
+         * { type: 'unary', operator, operand }, { type: 'binary', operator, left, right },
+         * { type: 'call', name, args }
+         *
+         * @param {string} infix - Infix expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {Object} Root node
+         * @throws {ExpressionError} If the expression is invalid
+         */
+        parse(infix, trace = null) {
+            this.validateExpression(infix);
+
+            const output = []; // Postfix tokens emitted so far, as shown in the trace
+            const nodes = []; // Subtrees for the output so far
+            const operatorStack = [];
+            const stackTokens = []; // Source token behind each operatorStack entry
+            const argCounts = []; // One entry per open '(' counting the arguments seen so far
+            const step = stepRecorder(trace, 'postfix', infix, () => ({ stack: [...operatorStack], output: [...output] }));
+            recordStep(trace, 'heading', 'Converting to Postfix (Shunting Yard Algorithm):', { phase: 'postfix' });
+
+            const pushOperator = (symbol, token) => {
+                operatorStack.push(symbol);
+                stackTokens.push(token);
+            };
+
+            // Move the operator on top of the stack to the output, combining its operands into a node
+            const popOperator = () => {
+                const op = operatorStack.pop();
+                const token = stackTokens.pop();
+                if (this.isUnary(op)) {
+                    const operand = nodes.pop();
+                    nodes.push({ type: 'unary', operator: op, operand, start: token.start, end: operand.end });
+                } else {
+                    const right = nodes.pop();
+                    const left = nodes.pop();
+                    nodes.push({ type: 'binary', operator: op, left, right, start: left.start, end: right.end });
+                }
+                output.push(op);
+                return op;
+            };
+
+            for (const token of this.tokenizeInfix(infix)) {
+                if (token.type === 'number' || token.type === 'identifier') {
+                    output.push(token.value);
+                    nodes.push(token.type === 'number'
+                        ? { type: 'number', value: token.value, start: token.start, end: token.end }
+                        : { type: 'variable', name: token.value, start: token.start, end: token.end });
+                    step(token, 'output', `Read operand '${token.value}' → Output: [${output.join(', ')}]`);
+
+                } else if (token.type === 'unary') {
+                    // A prefix operator has nothing to its left, so it never pops the stack
+                    const op = this.unaryOperatorFor(token);
+                    if (op) {
+                        pushOperator(op, token);
+                        step(token, 'push', `Read unary '${token.value}' → Push '${op}' to stack: [${operatorStack.join(', ')}]`);
+                    } else {
+                        step(token, 'skip', `Read unary '+' → No effect, skip`);
+                    }
+
+                } else if (token.type === 'function') {
+                    pushOperator(token.name, token);
+                    step(token, 'push', `Read function '${token.name}' → Push to stack: [${operatorStack.join(', ')}]`);
+
+                } else if (token.type === 'leftParen') {
+                    pushOperator(token.value, token);
+                    argCounts.push(1);
+                    step(token, 'push', `Read '(' → Push to stack: [${operatorStack.join(', ')}]`);
+
+                } else if (token.type === 'comma') {
+                    // An argument is complete: flush it, but keep the call's '(' on the stack
+                    while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
+                        const op = popOperator();
+                        step(token, 'pop', `Read ',' → Pop '${op}' to output: [${output.join(', ')}]`);
+                    }
+                    argCounts[argCounts.length - 1]++;
+                    step(token, 'separate', `Read ',' → Start argument ${argCounts[argCounts.length - 1]}`);
+
+                } else if (token.type === 'rightParen') {
+                    while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
+                        const op = popOperator();
+                        step(token, 'pop', `Read ')' → Pop '${op}' to output: [${output.join(', ')}]`);
+                    }
+                    operatorStack.pop(); // Remove the '('
+                    const open = stackTokens.pop();
+                    step(token, 'discard', `Remove '(' from stack: [${operatorStack.join(', ')}]`);
+
+                    const argCount = argCounts.pop();
+                    if (this.isFunction(operatorStack[operatorStack.length - 1])) {
+                        const name = operatorStack.pop();
+                        const nameToken = stackTokens.pop();
+                        const fn = this.functionToken(name, argCount);
+                        const args = nodes.splice(nodes.length - argCount, argCount);
+                        nodes.push({ type: 'call', name, args, start: nameToken.start, end: token.end });
+                        output.push(fn);
+                        step(token, 'pop', `Call complete → Pop '${fn}' (${argCount} argument${argCount === 1 ? '' : 's'}) to output: [${output.join(', ')}]`);
+                    } else {
+                        // The group's subtree spans its parentheses in the source
+                        const group = nodes[nodes.length - 1];
+                        nodes[nodes.length - 1] = { ...group, start: open.start, end: token.end };
+                    }
+
+                } else if (token.type === 'operator') {
+                    const char = token.value;
+                    while (operatorStack.length > 0 &&
+                           operatorStack[operatorStack.length - 1] !== '(' &&
+                           (this.getPrecedence(operatorStack[operatorStack.length - 1]) > this.getPrecedence(char) ||
+                            (this.getPrecedence(operatorStack[operatorStack.length - 1]) === this.getPrecedence(char) &&
+                             this.isLeftAssociative(char)))) {
+                        const op = popOperator();
+                        step(token, 'pop', `Pop '${op}' (higher/equal precedence) to output: [${output.join(', ')}]`);
+                    }
+                    const top = operatorStack[operatorStack.length - 1];
+                    pushOperator(char, token);
+                    if (top !== undefined && top !== '(' && !this.isLeftAssociative(char) &&
+                        this.getPrecedence(top) === this.getPrecedence(char)) {
+                        step(token, 'push', `Push '${char}' above '${top}' (right-associative, equal precedence does not pop): [${operatorStack.join(', ')}]`);
+                    } else {
+                        step(token, 'push', `Push '${char}' to stack: [${operatorStack.join(', ')}]`);
+                    }
+                }
+            }
+
+            // Pop remaining operators
+            while (operatorStack.length > 0) {
+                const op = popOperator();
+                step(null, 'pop', `Pop remaining '${op}' to output: [${output.join(', ')}]`);
+            }
+
+            return nodes[0];
+        }
+
+        /**
+         * Convert infix expression to postfix using Shunting Yard algorithm
+         * @param {string} infix - Infix expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {string} Postfix expression
+         */
+        infixToPostfix(infix, trace = null) {
+            const result = this.toPostfix(this.parse(infix, trace));
+            recordStep(trace, 'heading', `Final Postfix: ${result}`, { phase: 'postfix' });
+            return result;
+        }
+
+        /**
+         * Convert infix expression to prefix. The result is read off the syntax tree; when a
+         * trace is requested, the classic reverse / convert / reverse method is recorded too.
+         * @param {string} infix - Infix expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {string} Prefix expression
+         */
+        infixToPrefix(infix, trace = null) {
+            const prefix = this.toPrefix(this.parse(infix));
+            if (!trace) {
+                return prefix;
+            }
+
+            // Reverse the token sequence (not the characters, so '12' or '1e-3' stay intact)
+            // and swap ( with ) and vice versa. Offsets are re-based onto the reversed text.
+            let offset = 0;
+            const reversed = this.tokenizeInfix(infix).reverse().map(token => {
+                let swapped = token;
+                if (token.type === 'leftParen') swapped = { ...token, type: 'rightParen', value: ')' };
+                if (token.type === 'rightParen') swapped = { ...token, type: 'leftParen', value: '(' };
+                const placed = { ...swapped, start: offset, end: offset + swapped.value.length };
+                offset = placed.end + 1;
+                return placed;
+            });
+            const reversedSource = reversed.map(token => token.value).join(' ');
+            const note = (action, text, output = []) => recordStep(trace, 'step', text, {
+                phase: 'prefix', source: reversedSource, token: null, cursor: null, action, stack: [], output
+            });
+
+            recordStep(trace, 'heading', 'Converting to Prefix:', { phase: 'prefix' });
+            note('reverse', `Reverse infix and replace ( with ) and vice versa: ${reversedSource}`);
+
+            // Convert to postfix
+            const postfix = this.infixToPostfixForPrefix(reversed, trace, reversedSource);
+            note('finish', `Postfix of the reversed expression: ${postfix}`, postfix.split(' '));
+
+            // Reverse the result
+            note('reverse', `Reverse result: ${prefix}`, prefix.split(' '));
+            recordStep(trace, 'heading', `Final Prefix: ${prefix}`, { phase: 'prefix' });
+
+            return prefix;
+        }
+
+        /**
+         * Write a syntax tree in postfix notation
+         * @param {Object} node - Root node
+         * @returns {string} Postfix expression
+         */
+        toPostfix(node) {
+            switch (node.type) {
+                case 'number':
+                    return node.value;
+                case 'variable':
+                    return node.name;
+                case 'unary':
+                    return `${this.toPostfix(node.operand)} ${node.operator}`;
+                case 'binary':
+                    return `${this.toPostfix(node.left)} ${this.toPostfix(node.right)} ${node.operator}`;
+                case 'call':
+                    return [...node.args.map(arg => this.toPostfix(arg)), this.functionToken(node.name, node.args.length)].join(' ');
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        }
+
+        /**
+         * Write a syntax tree in prefix notation
+         * @param {Object} node - Root node
+         * @returns {string} Prefix expression
+         */
+        toPrefix(node) {
+            switch (node.type) {
+                case 'number':
+                    return node.value;
+                case 'variable':
+                    return node.name;
+                case 'unary':
+                    return `${node.operator} ${this.toPrefix(node.operand)}`;
+                case 'binary':
+                    return `${node.operator} ${this.toPrefix(node.left)} ${this.toPrefix(node.right)}`;
+                case 'call':
+                    return [this.functionToken(node.name, node.args.length), ...node.args.map(arg => this.toPrefix(arg))].join(' ');
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        }
+
+        /**
+         * Write a syntax tree as infix
+         * @param {Object} node - Root node
+         * @param {string} style - 'full' for one pair of parentheses per operator, 'minimal' for only
+         *                         those the precedence/associativity table requires
+         * @returns {string} Infix expression
+         */
+        toInfix(node, style = 'full') {
+            const full = style === 'full';
+            switch (node.type) {
+                case 'number':
+                    return node.value;
+                case 'variable':
+                    return node.name;
+                case 'unary': {
+                    const operand = this.toInfix(node.operand, style);
+                    // Word operators need a space before their operand: 'not a', not 'nota'
+                    const symbol = this.unarySymbol(node.operator) + (/\w$/.test(node.operator) ? ' ' : '');
+                    if (full) {
+                        return `(${symbol}${operand})`;
+                    }
+                    return this.nodePrecedence(node.operand) < this.getPrecedence(node.operator) ? `${symbol}(${operand})` : `${symbol}${operand}`;
+                }
+                case 'binary': {
+                    let left = this.toInfix(node.left, style);
+                    let right = this.toInfix(node.right, style);
+                    if (full) {
+                        return `(${left} ${node.operator} ${right})`;
+                    }
+                    // A child needs parentheses if it binds looser than this operator, or equally
+                    // loose on the side the operator does not associate towards: a - (b - c), (a ^ b) ^ c
+                    const precedence = this.getPrecedence(node.operator);
+                    const leftPrecedence = this.nodePrecedence(node.left);
+                    const rightPrecedence = this.nodePrecedence(node.right);
+                    const leftAssociative = this.isLeftAssociative(node.operator);
+                    if (leftPrecedence < precedence || (leftPrecedence === precedence && !leftAssociative)) {
+                        left = `(${left})`;
+                    }
+                    if (rightPrecedence < precedence || (rightPrecedence === precedence && leftAssociative)) {
+                        right = `(${right})`;
+                    }
+                    return `${left} ${node.operator} ${right}`;
+                }
+                case 'call':
+                    return `${node.name}(${node.args.map(arg => this.toInfix(arg, style)).join(', ')})`;
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        }
+
+        /**
+         * Precedence of the operator at the root of a subtree; operands and calls never need parentheses
+         * @param {Object} node - Syntax tree node
+         * @returns {number} Precedence value
+         */
+        nodePrecedence(node) {
+            return node.type === 'unary' || node.type === 'binary' ? this.getPrecedence(node.operator) : Infinity;
+        }
+
+        /**
+         * Parse postfix into a syntax tree, building subtrees on a stack
+         * @param {string} postfix - Postfix expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {Object} Root node
+         * @throws {ExpressionError} At the offending token if the expression is invalid
+         */
+        parsePostfix(postfix, trace = null) {
+            return this.parseStackNotation(postfix, 'postfix', trace);
+        }
+
+        /**
+         * Parse prefix into a syntax tree, scanning right to left
+         * @param {string} prefix - Prefix expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {Object} Root node
+         * @throws {ExpressionError} At the offending token if the expression is invalid
+         */
+        parsePrefix(prefix, trace = null) {
+            return this.parseStackNotation(prefix, 'prefix', trace);
+        }
+
+        /**
+         * Shared stack machine for parsePostfix and parsePrefix. Postfix is scanned left to right,
+         * so the last operand popped is the leftmost; prefix is scanned right to left, so the first
+         * operand popped is the leftmost.
+         * @param {string} expression - Expression text
+         * @param {string} notation - 'postfix' or 'prefix'
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {Object} Root node
+         */
+        parseStackNotation(expression, notation, trace) {
+            const label = notation.charAt(0).toUpperCase() + notation.slice(1);
+            const nodes = [];
+            const tokens = this.tokenize(expression);
+            const step = stepRecorder(trace, `${notation}-to-infix`, expression, () => ({
+                stack: nodes.map(node => this.toInfix(node, 'minimal')),
+                output: []
+            }));
+            recordStep(trace, 'heading', `Converting ${label} to Infix (${notation === 'postfix' ? 'left to right' : 'right to left'}):`, { phase: `${notation}-to-infix` });
+
+            if (tokens.length === 0) {
+                throw new ExpressionError(`Please enter a ${notation} expression`, 0, 0);
+            }
+
+            // Pop the operands of the token, in left-to-right order, checking there are enough
+            const takeOperands = (token, count) => {
+                if (nodes.length < count) {
+                    throw new ExpressionError(
+                        `Invalid ${notation} expression: '${token.value}' at index ${token.start} needs ${count} operand${count === 1 ? '' : 's'} but ${nodes.length === 0 ? 'none is' : `only ${nodes.length} is`} available`,
+                        token.start,
+                        token.end
+                    );
+                }
+                const operands = nodes.splice(nodes.length - count, count);
+                return notation === 'postfix' ? operands : operands.reverse();
+            };
+            const combine = (token, node) => {
+                nodes.push(node);
+                step(token, 'combine', `Read '${token.value}' → Pop operand${node.type === 'unary' ? '' : 's'}, push ${this.toInfix(node, 'minimal')}`);
+            };
+            const span = (token, operands) => ({
+                start: Math.min(token.start, ...operands.map(operand => operand.start)),
+                end: Math.max(token.end, ...operands.map(operand => operand.end))
+            });
+
+            const ordered = notation === 'postfix' ? tokens : [...tokens].reverse();
+            for (const token of ordered) {
+                if (token.type === 'number') {
+                    nodes.push({ type: 'number', value: token.value, start: token.start, end: token.end });
+                    step(token, 'push', `Read operand '${token.value}' → Push`);
+
+                } else if (token.type === 'identifier' && !this.isFunction(token.value)) {
+                    nodes.push({ type: 'variable', name: token.value, start: token.start, end: token.end });
+                    step(token, 'push', `Read operand '${token.value}' → Push`);
+
+                } else if (token.type === 'operator' && this.isUnary(token.value)) {
+                    const [operand] = takeOperands(token, 1);
+                    combine(token, { type: 'unary', operator: token.value, operand, ...span(token, [operand]) });
+
+                } else if (token.type === 'operator') {
+                    const [left, right] = takeOperands(token, 2);
+                    combine(token, { type: 'binary', operator: token.value, left, right, ...span(token, [left, right]) });
+
+                } else if (token.type === 'function' || token.type === 'identifier') {
+                    const { name, argCount } = this.readFunctionToken(token);
+                    const args = takeOperands(token, argCount);
+                    combine(token, { type: 'call', name, args, ...span(token, args) });
+
+                } else {
+                    throw new ExpressionError(
+                        `Invalid ${notation} expression: unexpected '${token.value}' at index ${token.start}`,
+                        token.start,
+                        token.end
+                    );
+                }
+            }
+
+            if (nodes.length > 1) {
+                // Postfix: the last complete operand is missing an operator after it.
+                // Prefix: everything after the first complete operand is left over.
+                const extra = notation === 'postfix' ? nodes[nodes.length - 1] : nodes[nodes.length - 2];
+                throw new ExpressionError(
+                    `Invalid ${notation} expression: ${nodes.length} operands but no operator to combine them; '${expression.slice(extra.start, extra.end)}' at index ${extra.start} is left over`,
+                    extra.start,
+                    extra.end
+                );
+            }
+
+            recordStep(trace, 'heading', `Infix: ${this.toInfix(nodes[0], 'minimal')}`, { phase: `${notation}-to-infix` });
+            return nodes[0];
+        }
+
+        /**
+         * Helper method for prefix conversion
+         * @param {Array<Object>} tokens - Reversed infix tokens with parentheses swapped
+         * @param {Array|null} trace - Optional array that receives step records
+         * @param {string} source - Reversed expression text that the token offsets refer to
+         * @returns {string} Postfix expression
+         */
+        infixToPostfixForPrefix(tokens, trace = null, source = '') {
+            const output = [];
+            const operatorStack = [];
+            const argCounts = [];
+            let lastArgCount = 0; // Arguments of the group just closed; its function name comes next
+            const step = stepRecorder(trace, 'prefix', source, () => ({ stack: [...operatorStack], output: [...output] }));
+
+            for (const token of tokens) {
+                if (token.type === 'number' || token.type === 'identifier') {
+                    output.push(token.value);
+                    step(token, 'output', `Read operand '${token.value}' → Output: [${output.join(', ')}]`);
+
+                } else if (token.type === 'unary') {
+                    // Reversed, a prefix operator follows its operand: it applies once any
+                    // tighter-binding operators pending on the stack have been output
+                    const op = this.unaryOperatorFor(token);
+                    if (op) {
+                        while (operatorStack.length > 0 &&
+                               operatorStack[operatorStack.length - 1] !== '(' &&
+                               this.getPrecedence(operatorStack[operatorStack.length - 1]) > this.getPrecedence(op)) {
+                            const popped = operatorStack.pop();
+                            output.push(popped);
+                            step(token, 'pop', `Pop '${popped}' (binds tighter than unary '${token.value}') to output: [${output.join(', ')}]`);
+                        }
+                        output.push(op);
+                        step(token, 'output', `Read unary '${token.value}' → Its operand is complete, output '${op}': [${output.join(', ')}]`);
+                    } else {
+                        step(token, 'skip', `Read unary '+' → No effect, skip`);
+                    }
+
+                } else if (token.type === 'function') {
+                    // Reversed, the name follows its argument list, which is already in the output
+                    const fn = this.functionToken(token.name, lastArgCount);
+                    output.push(fn);
+                    step(token, 'output', `Read function '${token.name}' → Its arguments are complete, output '${fn}': [${output.join(', ')}]`);
+
+                } else if (token.type === 'leftParen') {
+                    operatorStack.push(token.value);
+                    argCounts.push(1);
+                    step(token, 'push', `Read '(' → Push to stack: [${operatorStack.join(', ')}]`);
+
+                } else if (token.type === 'comma') {
+                    while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
+                        const popped = operatorStack.pop();
+                        output.push(popped);
+                        step(token, 'pop', `Read ',' → Pop '${popped}' to output: [${output.join(', ')}]`);
+                    }
+                    argCounts[argCounts.length - 1]++;
+                    step(token, 'separate', `Read ',' → Start argument ${argCounts[argCounts.length - 1]}`);
+
+                } else if (token.type === 'rightParen') {
+                    while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
+                        const popped = operatorStack.pop();
+                        output.push(popped);
+                        step(token, 'pop', `Read ')' → Pop '${popped}' to output: [${output.join(', ')}]`);
+                    }
+                    if (operatorStack.length > 0) {
+                        operatorStack.pop();
+                        step(token, 'discard', `Remove '(' from stack: [${operatorStack.join(', ')}]`);
+                    }
+                    lastArgCount = argCounts.pop();
+
+                } else if (token.type === 'operator') {
+                    // Reversing the input mirrors associativity: equal precedence pops only for
+                    // right-associative operators, so a-b-c stays (a-b)-c and 2^3^2 stays 2^(3^2)
+                    const char = token.value;
+                    while (operatorStack.length > 0 &&
+                           operatorStack[operatorStack.length - 1] !== '(' &&
+                           (this.getPrecedence(operatorStack[operatorStack.length - 1]) > this.getPrecedence(char) ||
+                            (this.getPrecedence(operatorStack[operatorStack.length - 1]) === this.getPrecedence(char) &&
+                             !this.isLeftAssociative(char)))) {
+                        const popped = operatorStack.pop();
+                        output.push(popped);
+                        step(token, 'pop', `Pop '${popped}' to output: [${output.join(', ')}]`);
+                    }
+                    operatorStack.push(token.value);
+                    step(token, 'push', `Push '${char}' to stack: [${operatorStack.join(', ')}]`);
+                }
+            }
+
+            while (operatorStack.length > 0) {
+                const popped = operatorStack.pop();
+                output.push(popped);
+                step(null, 'pop', `Pop remaining '${popped}' to output: [${output.join(', ')}]`);
+            }
+
+            return output.join(' ');
+        }
+
+        /**
+         * List the variables of an expression in order of first appearance
+         * @param {string} expression - Infix, postfix or prefix expression
+         * @returns {Array<string>} Distinct variable names
+         */
+        findVariables(expression) {
+            return [...new Set(this.findVariableTokens(expression).map(token => token.value))];
+        }
+
+        /**
+         * Collect the identifier tokens that name variables (not functions)
+         * @param {string} expression - Infix, postfix or prefix expression
+         * @returns {Array<Object>} Variable tokens
+         */
+        findVariableTokens(expression) {
+            return this.tokenize(expression).filter(token =>
+                token.type === 'identifier' && !this.isFunction(token.value) && !this.isConstant(token.value));
+        }
+
+        /**
+         * Check that every variable has a numeric value before evaluation starts,
+         * so all missing values are reported together
+         * @param {Array<Object>} tokens - Tokens of the expression
+         * @param {Object<string, number|boolean>} bindings - Variable values
+         * @throws {UnboundVariablesError} If any variable has no value
+         */
+        checkBindings(tokens, bindings) {
+            const unbound = new Map();
+            const inSourceOrder = [...tokens].sort((a, b) => a.start - b.start);
+            for (const token of inSourceOrder) {
+                if (token.type !== 'identifier' || this.isFunction(token.value) || this.isConstant(token.value)) {
+                    continue;
+                }
+                const value = bindings[token.value];
+                if (!Object.prototype.hasOwnProperty.call(bindings, token.value)) {
+                    if (!unbound.has(token.value)) {
+                        unbound.set(token.value, token);
+                    }
+                } else if (typeof value !== 'boolean' && (typeof value !== 'number' || Number.isNaN(value))) {
+                    throw new ExpressionError(`Value of variable '${token.value}' is not a number or true/false`, token.start, token.end);
+                }
+            }
+            if (unbound.size > 0) {
+                throw new UnboundVariablesError([...unbound.values()]);
+            }
+        }
+
+        /**
+         * Evaluate postfix expression using stack
+         * @param {string} postfix - Postfix expression
+         * @param {Object<string, number|boolean>} bindings - Values for the variables in the expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {number|Rational|bigint|boolean} Result of evaluation, in the current numeric mode
+         */
+        evaluatePostfix(postfix, bindings = {}, trace = null) {
+            const stack = [];
+            const tokens = this.tokenize(postfix);
+            this.checkBindings(tokens, bindings);
+            const step = stepRecorder(trace, 'evaluate-postfix', postfix, () => ({ stack: [...stack], output: [] }));
+            recordStep(trace, 'heading', 'Evaluating Postfix (left to right):', { phase: 'evaluate-postfix' });
+
+            for (const token of tokens) {
+                if (token.type === 'operator' && this.isUnary(token.value)) {
+                    if (stack.length < 1) {
+                        throw new ExpressionError('Invalid postfix expression: insufficient operands', token.start, token.end);
+                    }
+
+                    const operand = stack.pop();
+                    const result = this.performUnaryOperation(operand, token.value);
+                    stack.push(result);
+                    step(token, 'apply',
+                        `Read '${token.value}' → Pop ${operand}, compute ${describeComputation('unary', token.value, [operand])} = ${result}, push ${result} → Stack: [${stack.join(', ')}]`,
+                        { operands: [operand], result });
+
+                } else if (token.type === 'operator') {
+                    if (stack.length < 2) {
+                        throw new ExpressionError('Invalid postfix expression: insufficient operands', token.start, token.end);
+                    }
+
+                    const operand2 = stack.pop();
+                    const operand1 = stack.pop();
+                    const result = this.performOperation(operand1, operand2, token.value);
+                    stack.push(result);
+                    step(token, 'apply',
+                        `Read '${token.value}' → Pop ${operand2} (right), pop ${operand1} (left), compute ${describeComputation('binary', token.value, [operand1, operand2])} = ${result}, push ${result} → Stack: [${stack.join(', ')}]`,
+                        { operands: [operand1, operand2], result });
+
+                } else if (token.type === 'function' || (token.type === 'identifier' && this.isFunction(token.value))) {
+                    const { name, argCount } = this.readFunctionToken(token);
+                    if (stack.length < argCount) {
+                        throw new ExpressionError('Invalid postfix expression: insufficient operands', token.start, token.end);
+                    }
+
+                    // Arguments were pushed left to right, so the last one is on top
+                    const args = stack.splice(stack.length - argCount, argCount);
+                    const result = this.performFunction(name, args);
+                    stack.push(result);
+                    const pops = [...args].reverse().map(arg => `pop ${arg}`).join(', ');
+                    step(token, 'apply',
+                        `Read '${token.value}' → ${pops.charAt(0).toUpperCase() + pops.slice(1)}, compute ${describeComputation('call', name, args)} = ${result}, push ${result} → Stack: [${stack.join(', ')}]`,
+                        { operands: args, result });
+
+                } else if (token.type === 'number') {
+                    stack.push(this.readNumber(token));
+                    step(token, 'push', `Read operand '${token.value}' → Push ${stack[stack.length - 1]} → Stack: [${stack.join(', ')}]`);
+                } else if (token.type === 'identifier' && this.isConstant(token.value)) {
+                    stack.push(this.constants[token.value]);
+                    step(token, 'push', `Read constant '${token.value}' → Push ${token.value} → Stack: [${stack.join(', ')}]`);
+                } else if (token.type === 'identifier') {
+                    stack.push(this.readBinding(token, bindings));
+                    step(token, 'push', `Read variable '${token.value}' = ${bindings[token.value]} → Push ${stack[stack.length - 1]} → Stack: [${stack.join(', ')}]`);
+                } else {
+                    throw new ExpressionError(`Invalid postfix expression: unexpected '${token.value}'`, token.start, token.end);
+                }
+            }
+
+            if (stack.length !== 1) {
+                throw new Error('Invalid postfix expression: incorrect number of operators');
+            }
+
+            recordStep(trace, 'heading', `Result: ${stack[0]}`, { phase: 'evaluate-postfix' });
+            return stack[0];
+        }
+
+        /**
+         * Evaluate prefix expression using stack
+         * @param {string} prefix - Prefix expression
+         * @param {Object<string, number|boolean>} bindings - Values for the variables in the expression
+         * @param {Array|null} trace - Optional array that receives step records
+         * @returns {number|Rational|bigint|boolean} Result of evaluation, in the current numeric mode
+         */
+        evaluatePrefix(prefix, bindings = {}, trace = null) {
+            const stack = [];
+            const tokens = this.tokenize(prefix).reverse(); // Process from right to left
+            this.checkBindings(tokens, bindings);
+            const step = stepRecorder(trace, 'evaluate-prefix', prefix, () => ({ stack: [...stack], output: [] }));
+            recordStep(trace, 'heading', 'Evaluating Prefix (right to left):', { phase: 'evaluate-prefix' });
+
+            for (const token of tokens) {
+                if (token.type === 'operator' && this.isUnary(token.value)) {
+                    if (stack.length < 1) {
+                        throw new ExpressionError('Invalid prefix expression: insufficient operands', token.start, token.end);
+                    }
+
+                    const operand = stack.pop();
+                    const result = this.performUnaryOperation(operand, token.value);
+                    stack.push(result);
+                    step(token, 'apply',
+                        `Read '${token.value}' → Pop ${operand}, compute ${describeComputation('unary', token.value, [operand])} = ${result}, push ${result} → Stack: [${stack.join(', ')}]`,
+                        { operands: [operand], result });
+
+                } else if (token.type === 'operator') {
+                    if (stack.length < 2) {
+                        throw new ExpressionError('Invalid prefix expression: insufficient operands', token.start, token.end);
+                    }
+
+                    // Scanning right to left, the left operand was pushed last, so it is popped
+                    // first: the opposite order to postfix evaluation
+                    const operand1 = stack.pop();
+                    const operand2 = stack.pop();
+                    const result = this.performOperation(operand1, operand2, token.value);
+                    stack.push(result);
+                    step(token, 'apply',
+                        `Read '${token.value}' → Pop ${operand1} (left), pop ${operand2} (right), compute ${describeComputation('binary', token.value, [operand1, operand2])} = ${result}, push ${result} → Stack: [${stack.join(', ')}]`,
+                        { operands: [operand1, operand2], result });
+
+                } else if (token.type === 'function' || (token.type === 'identifier' && this.isFunction(token.value))) {
+                    const { name, argCount } = this.readFunctionToken(token);
+                    if (stack.length < argCount) {
+                        throw new ExpressionError('Invalid prefix expression: insufficient operands', token.start, token.end);
+                    }
+
+                    // Scanning right to left, the first argument is on top
+                    const args = [];
+                    for (let i = 0; i < argCount; i++) {
+                        args.push(stack.pop());
+                    }
+                    const result = this.performFunction(name, args);
+                    stack.push(result);
+                    const pops = args.map(arg => `pop ${arg}`).join(', ');
+                    step(token, 'apply',
+                        `Read '${token.value}' → ${pops.charAt(0).toUpperCase() + pops.slice(1)}, compute ${describeComputation('call', name, args)} = ${result}, push ${result} → Stack: [${stack.join(', ')}]`,
+                        { operands: args, result });
+
+                } else if (token.type === 'number') {
+                    stack.push(this.readNumber(token));
+                    step(token, 'push', `Read operand '${token.value}' → Push ${stack[stack.length - 1]} → Stack: [${stack.join(', ')}]`);
+                } else if (token.type === 'identifier' && this.isConstant(token.value)) {
+                    stack.push(this.constants[token.value]);
+                    step(token, 'push', `Read constant '${token.value}' → Push ${token.value} → Stack: [${stack.join(', ')}]`);
+                } else if (token.type === 'identifier') {
+                    stack.push(this.readBinding(token, bindings));
+                    step(token, 'push', `Read variable '${token.value}' = ${bindings[token.value]} → Push ${stack[stack.length - 1]} → Stack: [${stack.join(', ')}]`);
+                } else {
+                    throw new ExpressionError(`Invalid prefix expression: unexpected '${token.value}'`, token.start, token.end);
+                }
+            }
+
+            if (stack.length !== 1) {
+                throw new Error('Invalid prefix expression: incorrect number of operators');
+            }
+
+            recordStep(trace, 'heading', `Result: ${stack[0]}`, { phase: 'evaluate-prefix' });
+            return stack[0];
+        }
+
+        /**
+         * Value of a number literal in the current numeric mode
+         * @param {Object} token - Number token
+         * @returns {number|Rational|bigint} Value
+         * @throws {ExpressionError} If the mode cannot represent the literal, e.g. '1.5' as a big integer
+         */
+        readNumber(token) {
+            try {
+                return this.arithmetic().fromLiteral(token.value);
+            } catch (error) {
+                throw new ExpressionError(error.message, token.start, token.end);
+            }
+        }
+
+        /**
+         * Value bound to a variable, converted to the current numeric mode (true/false pass through)
+         * @param {Object} token - Identifier token
+         * @param {Object<string, number|boolean>} bindings - Variable values
+         * @returns {number|Rational|bigint|boolean} Value
+         * @throws {ExpressionError} If the mode cannot represent the value
+         */
+        readBinding(token, bindings) {
+            if (typeof bindings[token.value] === 'boolean') {
+                return bindings[token.value];
+            }
+            try {
+                return this.arithmetic().fromNumber(bindings[token.value]);
+            } catch (error) {
+                throw new ExpressionError(`Variable '${token.value}': ${error.message}`, token.start, token.end);
+            }
+        }
+
+        /**
+         * Read the function name and argument count from a postfix/prefix token ('max' or 'max@3')
+         * @param {Object} token - Function or identifier token
+         * @returns {{name: string, argCount: number}} Function name and argument count
+         * @throws {ExpressionError} If the function is unknown or the count is not accepted
+         */
+        readFunctionToken(token) {
+            const name = token.name ?? token.value;
+            if (!this.isFunction(name)) {
+                throw new ExpressionError(`Unknown function '${name}'`, token.start, token.end);
+            }
+            const argCount = token.arity ?? this.functions[name].arity;
+            const arityError = this.checkArity(name, argCount);
+            if (arityError) {
+                throw new ExpressionError(arityError, token.start, token.end);
+            }
+            return { name, argCount };
+        }
+
+        /**
+         * Call a built-in function
+         * @param {string} name - Function name
+         * @param {Array<number|Rational|bigint>} args - Arguments in call order
+         * @returns {number|Rational|bigint} Result of the call
+         */
+        performFunction(name, args) {
+            args.forEach(arg => this.requireNumber(arg, `Function '${name}'`));
+            return this.arithmetic().call(name, args, this.functions[name]);
+        }
+
+        /**
+         * Perform unary operation
+         * @param {number|Rational|bigint|boolean} operand - Operand
+         * @param {string} operator - Unary operator
+         * @returns {number|Rational|bigint|boolean} Result of operation
+         */
+        performUnaryOperation(operand, operator) {
+            if (this.isCustomOperator(operator)) {
+                return this.applyCustomOperator(operator, [operand]);
+            }
+            switch (operator) {
+                case '~':
+                    return this.arithmetic().negate(this.requireNumber(operand, `Operator '-'`));
+                case '!':
+                    return !this.requireBoolean(operand, `Operator '!'`);
+                default:
+                    throw new Error(`Unknown unary operator: ${operator}`);
+            }
+        }
+
+        /**
+         * Perform arithmetic operation in the current numeric mode, or a logical or relational one
+         * @param {number|Rational|bigint|boolean} operand1 - First operand
+         * @param {number|Rational|bigint|boolean} operand2 - Second operand
+         * @param {string} operator - Operator
+         * @returns {number|Rational|bigint|boolean} Result of operation
+         */
+        performOperation(operand1, operand2, operator) {
+            const label = `Operator '${operator}'`;
+            if (this.isCustomOperator(operator)) {
+                return this.applyCustomOperator(operator, [operand1, operand2]);
+            }
+            if (this.isLogical(operator)) {
+                const a = this.requireBoolean(operand1, label);
+                const b = this.requireBoolean(operand2, label);
+                switch (operator) {
+                    case '&&':
+                        return a && b;
+                    case '||':
+                        return a || b;
+                    case '^^':
+                    case 'xor':
+                        return a !== b;
+                    case '->':
+                        return !a || b;
+                    default:
+                        throw new Error(`Unknown operator: ${operator}`);
+                }
+            }
+
+            const a = this.requireNumber(operand1, label);
+            const b = this.requireNumber(operand2, label);
+            if (this.isRelational(operator)) {
+                const order = this.arithmetic().compare(a, b);
+                switch (operator) {
+                    case '==':
+                        return order === 0;
+                    case '!=':
+                        return order !== 0;
+                    case '<':
+                        return order < 0;
+                    case '<=':
+                        return order <= 0;
+                    case '>':
+                        return order > 0;
+                    case '>=':
+                        return order >= 0;
+                    default:
+                        throw new Error(`Unknown operator: ${operator}`);
+                }
+            }
+            return this.arithmetic().operate(operator, a, b);
+        }
+
+        /**
+         * Apply a custom operator by evaluating its formula with the operands as a and b
+         * @param {string} operator - Custom operator
+         * @param {Array<number|Rational|bigint|boolean>} operands - Operand values, left to right
+         * @returns {number|Rational|bigint|boolean} Result of the formula
+         */
+        applyCustomOperator(operator, operands) {
+            const [a, b] = operands;
+            return this.evaluateTree(this.operators[operator].custom.body, { a, b });
+        }
+
+        /**
+         * Evaluate a syntax tree in the current numeric mode
+         * @param {Object} node - Syntax tree node
+         * @param {Object<string, number|Rational|bigint|boolean>} values - Variable values, already in the numeric mode
+         * @returns {number|Rational|bigint|boolean} Value of the subtree
+         */
+        evaluateTree(node, values) {
+            switch (node.type) {
+                case 'number':
+                    return this.arithmetic().fromLiteral(node.value);
+                case 'variable':
+                    return this.isConstant(node.name) ? this.constants[node.name] : values[node.name];
+                case 'unary':
+                    return this.performUnaryOperation(this.evaluateTree(node.operand, values), node.operator);
+                case 'binary':
+                    return this.performOperation(this.evaluateTree(node.left, values), this.evaluateTree(node.right, values), node.operator);
+                case 'call':
+                    return this.performFunction(node.name, node.args.map(arg => this.evaluateTree(arg, values)));
+                default:
+                    throw new Error(`Unknown node type: ${node.type}`);
+            }
+        }
+
+        /**
+         * Check that a value is true/false
+         * @param {*} value - Operand
+         * @param {string} user - What needs the value, for the error message
+         * @returns {boolean} The value
+         * @throws {Error} If the value is a number
+         */
+        requireBoolean(value, user) {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${user} needs true/false operands but got ${this.formatNumber(value)}`);
+            }
+            return value;
+        }
+
+        /**
+         * Check that a value is a number (in any numeric mode) rather than true/false
+         * @param {*} value - Operand
+         * @param {string} user - What needs the value, for the error message
+         * @returns {number|Rational|bigint} The value
+         * @throws {Error} If the value is true/false
+         */
+        requireNumber(value, user) {
+            if (typeof value === 'boolean') {
+                throw new Error(`${user} needs numeric operands but got ${value}`);
+            }
+            return value;
+        }
+
+        /**
+         * Which operands of a node take true/false values: every operand of a logical operator, and
+         * the operands of a custom operator whose formula uses `a` or `b` that way
+         * @param {Object} node - Tree node
+         * @returns {Array<boolean>} One flag per child, in the order of childNodes()
+         */
+        booleanOperands(node) {
+            if (node.type !== 'unary' && node.type !== 'binary') {
+                return this.childNodes(node).map(() => false);
+            }
+            if (this.isLogical(node.operator)) {
+                return node.type === 'unary' ? [true] : [true, true];
+            }
+            if (this.isCustomOperator(node.operator)) {
+                const kinds = this.variableKinds(this.operators[node.operator].custom.body);
+                return node.type === 'unary' ? [kinds.a === 'boolean'] : [kinds.a === 'boolean', kinds.b === 'boolean'];
+            }
+            return node.type === 'unary' ? [false] : [false, false];
+        }
+
+        /**
+         * Children of a tree node, left to right
+         * @param {Object} node - Tree node
+         * @returns {Array<Object>} Child nodes
+         */
+        childNodes(node) {
+            switch (node.type) {
+                case 'unary':
+                    return [node.operand];
+                case 'binary':
+                    return [node.left, node.right];
+                case 'call':
+                    return node.args;
+                default:
+                    return [];
+            }
+        }
+
+        /**
+         * Decide from how each variable is used whether it holds true/false or a number. A variable
+         * is boolean when it is an operand of '!', '&&', '||', '^^'/'xor' or '->' (directly, or
+         * through a custom operator that uses it so); every other variable is a number, so in
+         * 'x > 2 && p' x is a number and p is boolean.
+         * @param {Object} node - Root node from parse(), parsePostfix() or parsePrefix()
+         * @returns {Object<string, string>} 'boolean' or 'number' for each variable, in order of appearance
+         */
+        variableKinds(node) {
+            const kinds = {};
+            const visit = (current, boolean) => {
+                if (current.type === 'variable') {
+                    if (!this.isConstant(current.name) && kinds[current.name] !== 'boolean') {
+                        kinds[current.name] = boolean ? 'boolean' : 'number';
+                    }
+                    return;
+                }
+                const flags = this.booleanOperands(current);
+                this.childNodes(current).forEach((child, i) => visit(child, flags[i]));
+            };
+            visit(node, false);
+            return kinds;
+        }
+
+        /**
+         * Evaluate a postfix expression for every combination of true/false values of its boolean
+         * variables. Each comparison, such as 'x > 2', is one more column of the table rather than
+         * something to work out, so numeric variables need no values.
+         * @param {string} postfix - Postfix expression
+         * @param {number} maxVariables - Refuse expressions with more columns (the table doubles per column)
+         * @returns {{variables: Array<string>, rows: Array<{values: Object<string, boolean>, result: boolean}>}}
+         *          Truth table whose columns are the boolean variables and comparisons in order of
+         *          appearance, rows counting up from all false to all true
+         * @throws {Error} If there are too many columns, a number is used outside a comparison or
+         *                 a row cannot be evaluated
+         */
+        truthTable(postfix, maxVariables = 10) {
+            const variables = [];
+            const column = (name) => {
+                if (!variables.includes(name)) {
+                    variables.push(name);
+                }
+                return { type: 'variable', name };
+            };
+            // Replace each comparison in a true/false position by a variable named after it
+            const atoms = (node, boolean) => {
+                if (node.type === 'variable') {
+                    if (this.isConstant(node.name)) {
+                        return node;
+                    }
+                    if (!boolean) {
+                        throw new Error(`Variable '${node.name}' is used as a number outside a comparison, so it has no place in a truth table`);
+                    }
+                    return column(node.name);
+                }
+                if (boolean && node.type === 'binary' && this.isRelational(node.operator)) {
+                    return column(this.toInfix(node, 'minimal'));
+                }
+                const flags = this.booleanOperands(node);
+                const children = this.childNodes(node).map((child, i) => atoms(child, flags[i]));
+                switch (node.type) {
+                    case 'unary':
+                        return { ...node, operand: children[0] };
+                    case 'binary':
+                        return { ...node, left: children[0], right: children[1] };
+                    case 'call':
+                        return { ...node, args: children };
+                    default:
+                        return node;
+                }
+            };
+            const tree = atoms(this.parsePostfix(postfix), true);
+            if (variables.length > maxVariables) {
+                throw new Error(`A truth table over ${variables.length} variables would have ${2 ** variables.length} rows; the limit is ${maxVariables} variables`);
+            }
+
+            const rows = [];
+            for (let mask = 0; mask < 2 ** variables.length; mask++) {
+                const values = {};
+                variables.forEach((name, i) => {
+                    // The first variable is the most significant bit, so it changes slowest
+                    values[name] = Boolean(mask & (1 << (variables.length - 1 - i)));
+                });
+                rows.push({ values, result: this.evaluateTree(tree, values) });
+            }
+            return { variables, rows };
+        }
+    }
+
+    return { ExpressionEngine, ExpressionError, UnboundVariablesError, Rational };
+});
@@ -0,0 +1,474 @@
+/**
+ * Export
+ * Writes step traces as Markdown tables or LaTeX `tabular`s, expressions and their trees as
+ * LaTeX, and trees as SVG or PNG images, all in the browser.
+ * Loaded as a plain <script> it exposes `window.ExprExport`; under Node it is a CommonJS module
+ * (the image download needs a browser).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./tree-view'));
+    } else {
+        root.ExprExport = factory(root.ExprTreeView);
+    }
+})(typeof self !== 'undefined' ? self : this, function (TreeView) {
+    'use strict';
+
+    const { renderTreeImage } = TreeView;
+
+    // Column headings of an exported step table
+    const STEP_COLUMNS = ['#', 'Token', 'Action', 'Stack', 'Output'];
+
+    // LaTeX for the built-in binary operators; '/', '//' and '^' are laid out as fractions,
+    // floors and superscripts instead
+    const BINARY_LATEX = {
+        '->': '\\rightarrow',
+        '||': '\\lor',
+        '^^': '\\oplus',
+        'xor': '\\oplus',
+        '&&': '\\land',
+        '==': '=',
+        '!=': '\\neq',
+        '<': '<',
+        '<=': '\\leq',
+        '>': '>',
+        '>=': '\\geq',
+        '+': '+',
+        '-': '-',
+        '*': '\\cdot',
+        '%': '\\bmod'
+    };
+
+    const UNARY_LATEX = {
+        '~': '-',
+        '!': '\\lnot '
+    };
+
+    // Functions LaTeX has an operator for; others are written with \operatorname
+    const FUNCTION_LATEX = {
+        sin: '\\sin',
+        cos: '\\cos',
+        log: '\\ln',
+        min: '\\min',
+        max: '\\max'
+    };
+
+    /**
+     * Escape text for LaTeX text mode
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeLatex(text) {
+        const replacements = {
+            '\\': '\\textbackslash{}',
+            '{': '\\{',
+            '}': '\\}',
+            '$': '\\$',
+            '&': '\\&',
+            '#': '\\#',
+            '%': '\\%',
+            '_': '\\_',
+            '^': '\\textasciicircum{}',
+            '~': '\\textasciitilde{}',
+            '<': '\\textless{}',
+            '>': '\\textgreater{}',
+            '|': '\\textbar{}',
+            '→': '$\\rightarrow$'
+        };
+        return String(text).replace(/[\\{}$&#%_^~<>|→]/g, char => replacements[char]);
+    }
+
+    /**
+     * Write a stack or output snapshot as space-separated items, bottom of the stack first
+     * @param {Object} engine - ExpressionEngine, to format evaluated values
+     * @param {Array|undefined} items - Snapshot from a step record
+     * @returns {string} Text; blank for an empty or missing snapshot
+     */
+    function formatItems(engine, items) {
+        return (items || []).map(item => (typeof item === 'string' ? item : engine.formatNumber(item))).join(' ');
+    }
+
+    /**
+     * Split a trace into its headings and tables: each run of steps becomes a table whose rows
+     * hold the token read, what was done, and the stack and output after the step
+     * @param {Object} engine - ExpressionEngine, to format evaluated values
+     * @param {Array<Object>} steps - Step records
+     * @returns {Array<{heading: string}|{rows: Array<Array<string>>}>} Blocks in order
+     */
+    function traceBlocks(engine, steps) {
+        const blocks = [];
+        for (const step of steps) {
+            if (step.kind === 'heading') {
+                blocks.push({ heading: step.text });
+                continue;
+            }
+            let block = blocks[blocks.length - 1];
+            if (!block || !block.rows) {
+                block = { rows: [] };
+                blocks.push(block);
+            }
+            block.rows.push([
+                String(block.rows.length + 1),
+                step.token ?? '',
+                step.text,
+                formatItems(engine, step.stack),
+                formatItems(engine, step.output)
+            ]);
+        }
+        return blocks;
+    }
+
+    /**
+     * Write a trace as Markdown: headings in bold, each run of steps as a table with the
+     * columns #, Token, Action, Stack and Output
+     * @param {Object} engine - ExpressionEngine, to format evaluated values
+     * @param {Array<Object>} steps - Step records
+     * @returns {string} Markdown
+     */
+    function traceToMarkdown(engine, steps) {
+        // Headings and actions can quote '*' or names like 'c_1', which Markdown would read as emphasis
+        const text = (value) => value.replace(/[\\`*_]/g, '\\$&');
+        const cell = (value) => value.replace(/\|/g, '\\|');
+        const code = (value) => (value === '' ? '' : `\`${cell(value)}\``);
+        return traceBlocks(engine, steps).map(block => {
+            if (block.heading !== undefined) {
+                return `**${text(block.heading)}**`;
+            }
+            const rows = block.rows.map(([number, token, action, stack, output]) =>
+                `| ${number} | ${code(token)} | ${cell(text(action))} | ${code(stack)} | ${code(output)} |`);
+            return [`| ${STEP_COLUMNS.join(' | ')} |`, '|---:|---|---|---|---|', ...rows].join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * Write a trace as LaTeX: headings in bold, each run of steps as a `tabular` with the
+     * columns #, Token, Action, Stack and Output
+     * @param {Object} engine - ExpressionEngine, to format evaluated values
+     * @param {Array<Object>} steps - Step records
+     * @returns {string} LaTeX
+     */
+    function traceToLatex(engine, steps) {
+        const code = (text) => (text === '' ? '' : `\\texttt{${escapeLatex(text)}}`);
+        return traceBlocks(engine, steps).map(block => {
+            if (block.heading !== undefined) {
+                return `\\textbf{${escapeLatex(block.heading)}}`;
+            }
+            const rows = block.rows.map(([number, token, action, stack, output]) =>
+                `${number} & ${code(token)} & ${escapeLatex(action)} & ${code(stack)} & ${code(output)} \\\\`);
+            return [
+                '\\begin{tabular}{rllll}',
+                '\\hline',
+                `${STEP_COLUMNS.map(escapeLatex).join(' & ')} \\\\`,
+                '\\hline',
+                ...rows,
+                '\\hline',
+                '\\end{tabular}'
+            ].join('\n');
+        }).join('\n\n') + '\n';
+    }
+
+    /**
+     * LaTeX for a number literal; scientific notation becomes a power of ten
+     * @param {string} value - Literal, e.g. '2.5' or '1e-3'
+     * @returns {string} LaTeX
+     */
+    function numberToLatex(value) {
+        const [mantissa, exponent] = value.toLowerCase().split('e');
+        if (exponent === undefined) {
+            return value;
+        }
+        return `${mantissa} \\times 10^{${Number(exponent)}}`;
+    }
+
+    /**
+     * LaTeX for a variable or constant name: single letters as math italics, longer names as a
+     * single italic word, true/false upright
+     * @param {Object} engine - ExpressionEngine
+     * @param {string} name - Name
+     * @returns {string} LaTeX
+     */
+    function nameToLatex(engine, name) {
+        if (engine.isConstant(name)) {
+            return `\\mathrm{${name}}`;
+        }
+        return name.length === 1 ? name : `\\mathit{${name.replace(/_/g, '\\_')}}`;
+    }
+
+    /**
+     * LaTeX for an operator symbol. Custom operators are set as binary or prefix operators in
+     * upright type (words) or typewriter type (punctuation).
+     * @param {string} symbol - Operator
+     * @param {boolean} unary - Whether it is used as a unary operator
+     * @returns {string} LaTeX
+     */
+    function operatorToLatex(symbol, unary) {
+        const builtIn = unary ? UNARY_LATEX[symbol] : BINARY_LATEX[symbol];
+        if (builtIn !== undefined) {
+            return builtIn;
+        }
+        const text = /^\w+$/.test(symbol) ? `\\mathrm{${symbol}}` : `\\texttt{${escapeLatex(symbol)}}`;
+        return unary ? `\\mathop{${text}}` : `\\mathbin{${text}}`;
+    }
+
+    /**
+     * Write a syntax tree as a LaTeX formula, e.g. `\frac{a + b}{c}` for (a + b) / c.
+     * Parentheses follow the same rules as the minimal infix, except that a fraction never
+     * needs them: its bar already groups it.
+     * @param {Object} engine - ExpressionEngine whose operator table the tree uses
+     * @param {Object} node - Syntax tree node
+     * @returns {string} LaTeX formula, without math delimiters
+     */
+    function expressionToLatex(engine, node) {
+        const latex = (child) => expressionToLatex(engine, child);
+        const parenthesize = (text) => `\\left(${text}\\right)`;
+        const isFraction = (child) => child.type === 'binary' && (child.operator === '/' || child.operator === '//');
+        const precedenceOf = (child) => (isFraction(child) ? Infinity : engine.nodePrecedence(child));
+
+        switch (node.type) {
+            case 'number':
+                return numberToLatex(node.value);
+            case 'variable':
+                return nameToLatex(engine, node.name);
+            case 'unary': {
+                const operand = latex(node.operand);
+                const symbol = operatorToLatex(node.operator, true);
+                return precedenceOf(node.operand) < engine.getPrecedence(node.operator)
+                    ? `${symbol}${parenthesize(operand)}`
+                    : `${symbol}${operand}`;
+            }
+            case 'binary': {
+                if (node.operator === '/') {
+                    return `\\frac{${latex(node.left)}}{${latex(node.right)}}`;
+                }
+                if (node.operator === '//') {
+                    return `\\left\\lfloor\\frac{${latex(node.left)}}{${latex(node.right)}}\\right\\rfloor`;
+                }
+                if (node.operator === '^') {
+                    // The exponent is grouped by being raised; only a compound base needs parentheses
+                    const simple = node.left.type === 'variable' || (node.left.type === 'number' && !/e/i.test(node.left.value));
+                    const base = latex(node.left);
+                    return `${simple ? base : parenthesize(base)}^{${latex(node.right)}}`;
+                }
+
+                let left = latex(node.left);
+                let right = latex(node.right);
+                const precedence = engine.getPrecedence(node.operator);
+                const leftPrecedence = precedenceOf(node.left);
+                const rightPrecedence = precedenceOf(node.right);
+                const leftAssociative = engine.isLeftAssociative(node.operator);
+                if (leftPrecedence < precedence || (leftPrecedence === precedence && !leftAssociative)) {
+                    left = parenthesize(left);
+                }
+                if (rightPrecedence < precedence || (rightPrecedence === precedence && leftAssociative)) {
+                    right = parenthesize(right);
+                }
+                return `${left} ${operatorToLatex(node.operator, false)} ${right}`;
+            }
+            case 'call': {
+                const args = node.args.map(latex);
+                switch (node.name) {
+                    case 'sqrt':
+                        return `\\sqrt{${args[0]}}`;
+                    case 'abs':
+                        return `\\left|${args[0]}\\right|`;
+                    case 'pow':
+                        return expressionToLatex(engine, { type: 'binary', operator: '^', left: node.args[0], right: node.args[1] });
+                    case 'log':
+                        return args.length === 2 ? `\\log_{${args[1]}}${parenthesize(args[0])}` : `\\ln${parenthesize(args[0])}`;
+                    default: {
+                        const name = FUNCTION_LATEX[node.name] ?? `\\operatorname{${node.name.replace(/_/g, '\\_')}}`;
+                        return `${name}${parenthesize(args.join(', '))}`;
+                    }
+                }
+            }
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
+        }
+    }
+
+    /**
+     * Write a syntax tree as a LaTeX `forest` environment, one node per line
+     * @param {Object} engine - ExpressionEngine whose operator table the tree uses
+     * @param {Object} node - Root node
+     * @returns {string} LaTeX; needs \usepackage{forest}
+     */
+    function treeToLatex(engine, node) {
+        const label = (item) => {
+            switch (item.type) {
+                case 'number':
+                    return numberToLatex(item.value);
+                case 'variable':
+                    return nameToLatex(engine, item.name);
+                case 'unary':
+                    return operatorToLatex(item.operator, true).trim();
+                case 'binary':
+                    // Fractions and powers are laid out rather than written with a symbol, so show the typed one
+                    return ['/', '//', '^'].includes(item.operator)
+                        ? `\\texttt{${escapeLatex(item.operator)}}`
+                        : operatorToLatex(item.operator, false);
+                case 'call':
+                    return `\\operatorname{${item.name.replace(/_/g, '\\_')}}`;
+                default:
+                    throw new Error(`Unknown node type: ${item.type}`);
+            }
+        };
+        const children = (item) => (item.type === 'unary' ? [item.operand] : item.type === 'binary' ? [item.left, item.right]
+            : item.type === 'call' ? item.args : []);
+        const write = (item, depth) => {
+            const indent = '  '.repeat(depth + 1);
+            const kids = children(item);
+            if (kids.length === 0) {
+                return `${indent}[{$${label(item)}$}]`;
+            }
+            return `${indent}[{$${label(item)}$}\n${kids.map(kid => write(kid, depth + 1)).join('\n')}\n${indent}]`;
+        };
+        return `\\begin{forest}\n${write(node, 0)}\n\\end{forest}\n`;
+    }
+
+    /**
+     * Draw an SVG image onto a canvas and encode it as PNG
+     * @param {{svg: string, width: number, height: number}} image - Image from renderTreeImage()
+     * @param {number} scale - Pixels per SVG unit; 2 stays sharp on slides and high-density screens
+     * @returns {Promise<Blob>} PNG data
+     */
+    function svgToPng({ svg, width, height }, scale = 2) {
+        return new Promise((resolve, reject) => {
+            const picture = new Image();
+            picture.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * scale;
+                canvas.height = height * scale;
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(picture, 0, 0, width, height);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG image'))), 'image/png');
+            };
+            picture.onerror = () => reject(new Error('Could not draw the tree image'));
+            picture.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        });
+    }
+
+    class ExportPanel {
+        /**
+         * @param {Object} engine - ExpressionEngine the content comes from
+         * @param {Function} getContent - Returns {ast, steps} for what the page shows,
+         *                                or null before anything is converted
+         */
+        constructor(engine, getContent) {
+            this.engine = engine;
+            this.getContent = getContent;
+            this.initializeControls();
+        }
+
+        /**
+         * Initialize event listeners for the export menus
+         */
+        initializeControls() {
+            document.querySelectorAll('[data-export]').forEach(item => {
+                item.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    this.handleExport(item.dataset.export);
+                });
+            });
+        }
+
+        /**
+         * Enable or disable the export menus
+         * @param {boolean} enabled - Whether there is anything to export
+         */
+        setEnabled(enabled) {
+            document.getElementById('stepsExportBtn').disabled = !enabled;
+            document.getElementById('treeExportBtn').disabled = !enabled;
+        }
+
+        /**
+         * Produce one export: text formats are copied to the clipboard, images downloaded
+         * @param {string} format - 'steps-markdown', 'steps-latex', 'expression-latex',
+         *                          'tree-latex', 'tree-svg' or 'tree-png'
+         */
+        handleExport(format) {
+            const content = this.getContent();
+            if (!content) {
+                return;
+            }
+            const { ast, steps } = content;
+            const caption = this.engine.toInfix(ast, 'minimal');
+
+            switch (format) {
+                case 'steps-markdown':
+                    this.copy(traceToMarkdown(this.engine, steps), 'steps.md', 'text/markdown');
+                    break;
+                case 'steps-latex':
+                    this.copy(traceToLatex(this.engine, steps), 'steps.tex', 'application/x-tex');
+                    break;
+                case 'expression-latex':
+                    this.copy(expressionToLatex(this.engine, ast), 'expression.tex', 'application/x-tex');
+                    break;
+                case 'tree-latex':
+                    this.copy(treeToLatex(this.engine, ast), 'tree.tex', 'application/x-tex');
+                    break;
+                case 'tree-svg':
+                    this.download('expression-tree.svg', new Blob([renderTreeImage(ast, caption).svg], { type: 'image/svg+xml' }));
+                    break;
+                case 'tree-png':
+                    svgToPng(renderTreeImage(ast, caption))
+                        .then(blob => this.download('expression-tree.png', blob))
+                        .catch(error => this.flash(`Export failed: ${error.message}`));
+                    break;
+                default:
+                    throw new Error(`Unknown export format: ${format}`);
+            }
+        }
+
+        /**
+         * Copy text to the clipboard, or download it as a file where the clipboard is unavailable
+         * @param {string} text - Text to copy
+         * @param {string} fileName - File name for the download fallback
+         * @param {string} type - MIME type for the download fallback
+         */
+        copy(text, fileName, type) {
+            const fallback = () => this.download(fileName, new Blob([text], { type }));
+            if (!navigator.clipboard) {
+                fallback();
+                return;
+            }
+            navigator.clipboard.writeText(text).then(() => this.flash('Copied to the clipboard'), fallback);
+        }
+
+        /**
+         * Offer data as a file download
+         * @param {string} fileName - Suggested file name
+         * @param {Blob} blob - File content
+         */
+        download(fileName, blob) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            this.flash(`Downloaded ${fileName}`);
+        }
+
+        /**
+         * Show a short status message next to the export menus
+         * @param {string} message - Message
+         */
+        flash(message) {
+            clearTimeout(this.flashTimer);
+            document.querySelectorAll('.export-status').forEach(status => {
+                status.textContent = message;
+            });
+            this.flashTimer = setTimeout(() => {
+                document.querySelectorAll('.export-status').forEach(status => {
+                    status.textContent = '';
+                });
+            }, 2000);
+        }
+    }
+
+    return { ExportPanel, traceToMarkdown, traceToLatex, expressionToLatex, treeToLatex, svgToPng };
+});
@@ -0,0 +1,30 @@
+/**
+ * Markup
+ * Helpers shared by the modules that build HTML or SVG as strings.
+ * Loaded as a plain <script> it exposes `window.ExprMarkup`; under Node it is a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExprMarkup = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Escape text for insertion into HTML or SVG markup, including attribute values
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    return { escapeHtml };
+});
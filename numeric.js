@@ -0,0 +1,638 @@
+/**
+ * Numeric Modes
+ * The arithmetic the evaluators run on: JS floats, exact rationals (BigInt numerator/denominator)
+ * or arbitrary-precision integers. Each mode turns literals and variable values into its own
+ * value type and implements the operators and built-in functions on it.
+ * Loaded as a plain <script> it exposes `window.ExprNumeric`; under Node it is a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExprNumeric = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Decimal literal split into integer digits, fraction digits and exponent
+    const DECIMAL_PATTERN = /^(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+    // Largest result, in bits, that '^' will build exactly; 2^(10^9) would hang the page
+    const MAX_POWER_BITS = 1000000;
+
+    /**
+     * Absolute value of a BigInt
+     * @param {bigint} value - Value
+     * @returns {bigint} |value|
+     */
+    function bigAbs(value) {
+        return value < 0n ? -value : value;
+    }
+
+    /**
+     * Greatest common divisor of two non-negative BigInts
+     * @param {bigint} a - First value
+     * @param {bigint} b - Second value
+     * @returns {bigint} gcd(a, b)
+     */
+    function gcd(a, b) {
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Integer division rounding towards negative infinity, like Math.floor(a / b)
+     * @param {bigint} a - Dividend
+     * @param {bigint} b - Divisor (non-zero)
+     * @returns {bigint} Floor of a / b
+     */
+    function floorDivide(a, b) {
+        const quotient = a / b;
+        return a % b !== 0n && (a < 0n) !== (b < 0n) ? quotient - 1n : quotient;
+    }
+
+    /**
+     * Integer square root, or null if the value is not a perfect square
+     * @param {bigint} value - Non-negative value
+     * @returns {bigint|null} Exact root
+     */
+    function exactSqrt(value) {
+        if (value < 2n) {
+            return value;
+        }
+        // Newton's method from an estimate above the root converges down to floor(sqrt)
+        let x = 1n << BigInt(Math.ceil(value.toString(2).length / 2));
+        while (true) {
+            const next = (x + value / x) >> 1n;
+            if (next >= x) {
+                break;
+            }
+            x = next;
+        }
+        return x * x === value ? x : null;
+    }
+
+    /**
+     * Refuse powers whose result would be too large to build
+     * @param {bigint} base - Base (numerator or denominator)
+     * @param {bigint} exponent - Non-negative exponent
+     */
+    function checkPowerSize(base, exponent) {
+        const bits = bigAbs(base).toString(2).length;
+        if (bigAbs(base) > 1n && BigInt(bits) * exponent > BigInt(MAX_POWER_BITS)) {
+            throw new Error(`Result of raising to the power ${exponent} is too large to compute exactly`);
+        }
+    }
+
+    /**
+     * Exact fraction with BigInt numerator and denominator, always in lowest terms with a
+     * positive denominator
+     */
+    class Rational {
+        /**
+         * @param {bigint} numerator - Numerator
+         * @param {bigint} denominator - Denominator (non-zero)
+         */
+        constructor(numerator, denominator = 1n) {
+            if (denominator === 0n) {
+                throw new Error('Division by zero');
+            }
+            if (denominator < 0n) {
+                numerator = -numerator;
+                denominator = -denominator;
+            }
+            const divisor = gcd(bigAbs(numerator), denominator);
+            this.numerator = numerator / divisor;
+            this.denominator = denominator / divisor;
+        }
+
+        /**
+         * Read a decimal literal exactly, e.g. '0.1' is 1/10 and '2.5e-3' is 1/400
+         * @param {string} text - Unsigned decimal literal
+         * @returns {Rational} Value
+         */
+        static parse(text) {
+            const match = DECIMAL_PATTERN.exec(text);
+            if (!match || (match[1] === '' && !match[2])) {
+                throw new Error(`'${text}' is not a number`);
+            }
+            const [, whole, fraction = '', exponent = '0'] = match;
+            const scale = BigInt(exponent) - BigInt(fraction.length);
+            const digits = BigInt(whole + fraction || '0');
+            if (digits === 0n) {
+                return new Rational(0n);
+            }
+            // '1e10000000' would otherwise build a ten-million-digit power of ten
+            checkPowerSize(10n, bigAbs(scale));
+            return scale >= 0n
+                ? new Rational(digits * 10n ** scale)
+                : new Rational(digits, 10n ** -scale);
+        }
+
+        /**
+         * Convert a JS number using its shortest decimal form, so 0.1 becomes 1/10
+         * rather than the binary fraction the float actually holds
+         * @param {number} value - Finite number
+         * @returns {Rational} Value
+         */
+        static fromNumber(value) {
+            if (!Number.isFinite(value)) {
+                throw new Error(`${value} has no exact value`);
+            }
+            const magnitude = Rational.parse(String(Math.abs(value)));
+            return value < 0 ? magnitude.negate() : magnitude;
+        }
+
+        /**
+         * @param {Rational} other - Addend
+         * @returns {Rational} this + other
+         */
+        add(other) {
+            return new Rational(
+                this.numerator * other.denominator + other.numerator * this.denominator,
+                this.denominator * other.denominator
+            );
+        }
+
+        /**
+         * @param {Rational} other - Subtrahend
+         * @returns {Rational} this - other
+         */
+        subtract(other) {
+            return this.add(other.negate());
+        }
+
+        /**
+         * @param {Rational} other - Multiplier
+         * @returns {Rational} this * other
+         */
+        multiply(other) {
+            return new Rational(this.numerator * other.numerator, this.denominator * other.denominator);
+        }
+
+        /**
+         * @param {Rational} other - Divisor
+         * @returns {Rational} this / other
+         */
+        divide(other) {
+            if (other.numerator === 0n) {
+                throw new Error('Division by zero');
+            }
+            return new Rational(this.numerator * other.denominator, this.denominator * other.numerator);
+        }
+
+        /**
+         * @returns {Rational} -this
+         */
+        negate() {
+            return new Rational(-this.numerator, this.denominator);
+        }
+
+        /**
+         * @returns {Rational} |this|
+         */
+        abs() {
+            return new Rational(bigAbs(this.numerator), this.denominator);
+        }
+
+        /**
+         * Compare with another rational
+         * @param {Rational} other - Value to compare with
+         * @returns {number} Negative, zero or positive
+         */
+        compare(other) {
+            const difference = this.numerator * other.denominator - other.numerator * this.denominator;
+            return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+        }
+
+        /**
+         * @returns {boolean} True if the denominator is 1
+         */
+        isInteger() {
+            return this.denominator === 1n;
+        }
+
+        /**
+         * Nearest float, for display alongside the exact value
+         * @returns {number} Approximation
+         */
+        toNumber() {
+            return Number(this.numerator) / Number(this.denominator);
+        }
+
+        /**
+         * @returns {string} '7/3', or '2' for whole numbers
+         */
+        toString() {
+            return this.isInteger() ? `${this.numerator}` : `${this.numerator}/${this.denominator}`;
+        }
+
+        /**
+         * @returns {string} Mixed number such as '2 1/3' or '-2 1/3'; proper fractions as toString()
+         */
+        toMixedString() {
+            const whole = this.numerator / this.denominator;
+            if (whole === 0n || this.isInteger()) {
+                return this.toString();
+            }
+            return `${whole} ${bigAbs(this.numerator % this.denominator)}/${this.denominator}`;
+        }
+    }
+
+    /**
+     * IEEE-754 doubles: fast, and what the evaluators have always used
+     */
+    class FloatArithmetic {
+        constructor() {
+            this.name = 'float';
+        }
+
+        /**
+         * @param {string} text - Number literal
+         * @returns {number} Value
+         */
+        fromLiteral(text) {
+            return parseFloat(text);
+        }
+
+        /**
+         * @param {number} value - Variable value
+         * @returns {number} Value
+         */
+        fromNumber(value) {
+            return value;
+        }
+
+        /**
+         * @param {number} operand - Operand
+         * @returns {number} -operand
+         */
+        negate(operand) {
+            return -operand;
+        }
+
+        /**
+         * Apply a binary operator
+         * @param {string} operator - Operator symbol
+         * @param {number} operand1 - Left operand
+         * @param {number} operand2 - Right operand
+         * @returns {number} Result
+         */
+        operate(operator, operand1, operand2) {
+            switch (operator) {
+                case '+':
+                    return operand1 + operand2;
+                case '-':
+                    return operand1 - operand2;
+                case '*':
+                    return operand1 * operand2;
+                case '/':
+                    if (operand2 === 0) {
+                        throw new Error('Division by zero');
+                    }
+                    return operand1 / operand2;
+                case '//':
+                    if (operand2 === 0) {
+                        throw new Error('Division by zero');
+                    }
+                    return Math.floor(operand1 / operand2);
+                case '%':
+                    if (operand2 === 0) {
+                        throw new Error('Modulo by zero');
+                    }
+                    return operand1 % operand2;
+                case '^':
+                    return Math.pow(operand1, operand2);
+                default:
+                    throw new Error(`Unknown operator: ${operator}`);
+            }
+        }
+
+        /**
+         * Call a built-in function through its float implementation
+         * @param {string} name - Function name
+         * @param {Array<number>} args - Arguments
+         * @param {Object} fn - Entry from the engine's function table
+         * @returns {number} Result
+         */
+        call(name, args, fn) {
+            return fn.evaluate(...args);
+        }
+
+        /**
+         * Order two values, for the relational operators
+         * @param {number} operand1 - Left operand
+         * @param {number} operand2 - Right operand
+         * @returns {number} Negative, zero or positive
+         */
+        compare(operand1, operand2) {
+            return operand1 < operand2 ? -1 : operand1 > operand2 ? 1 : 0;
+        }
+
+        /**
+         * @param {number} value - Result
+         * @returns {string} Display text
+         */
+        format(value) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Exact fractions: 1/3*3 is exactly 1 and 0.1+0.2 exactly 3/10. Functions without an exact
+     * result (sin, log, sqrt of a non-square) are refused rather than silently rounded.
+     */
+    class RationalArithmetic {
+        constructor() {
+            this.name = 'rational';
+        }
+
+        /**
+         * @param {string} text - Number literal
+         * @returns {Rational} Value
+         */
+        fromLiteral(text) {
+            return Rational.parse(text);
+        }
+
+        /**
+         * @param {number} value - Variable value
+         * @returns {Rational} Value
+         */
+        fromNumber(value) {
+            return Rational.fromNumber(value);
+        }
+
+        /**
+         * @param {Rational} operand - Operand
+         * @returns {Rational} -operand
+         */
+        negate(operand) {
+            return operand.negate();
+        }
+
+        /**
+         * Apply a binary operator
+         * @param {string} operator - Operator symbol
+         * @param {Rational} operand1 - Left operand
+         * @param {Rational} operand2 - Right operand
+         * @returns {Rational} Result
+         */
+        operate(operator, operand1, operand2) {
+            switch (operator) {
+                case '+':
+                    return operand1.add(operand2);
+                case '-':
+                    return operand1.subtract(operand2);
+                case '*':
+                    return operand1.multiply(operand2);
+                case '/':
+                    return operand1.divide(operand2);
+                case '//':
+                    if (operand2.numerator === 0n) {
+                        throw new Error('Division by zero');
+                    }
+                    return new Rational(floorDivide(
+                        operand1.numerator * operand2.denominator,
+                        operand1.denominator * operand2.numerator
+                    ));
+                case '%': {
+                    if (operand2.numerator === 0n) {
+                        throw new Error('Modulo by zero');
+                    }
+                    // Same sign convention as JS '%': the remainder takes the sign of the dividend
+                    const quotient = new Rational(
+                        (operand1.numerator * operand2.denominator) / (operand1.denominator * operand2.numerator)
+                    );
+                    return operand1.subtract(operand2.multiply(quotient));
+                }
+                case '^':
+                    return this.power(operand1, operand2);
+                default:
+                    throw new Error(`Unknown operator: ${operator}`);
+            }
+        }
+
+        /**
+         * Raise to a whole-number power; fractional powers are generally irrational
+         * @param {Rational} base - Base
+         * @param {Rational} exponent - Exponent
+         * @returns {Rational} Result
+         */
+        power(base, exponent) {
+            if (!exponent.isInteger()) {
+                throw new Error(`Exponent ${exponent} is not a whole number, so the result is not exact; switch to float mode`);
+            }
+            const e = bigAbs(exponent.numerator);
+            checkPowerSize(base.numerator, e);
+            checkPowerSize(base.denominator, e);
+            const result = new Rational(base.numerator ** e, base.denominator ** e);
+            return exponent.numerator < 0n ? new Rational(1n).divide(result) : result;
+        }
+
+        /**
+         * Call a built-in function exactly, refusing those without an exact result
+         * @param {string} name - Function name
+         * @param {Array<Rational>} args - Arguments
+         * @returns {Rational} Result
+         */
+        call(name, args) {
+            switch (name) {
+                case 'abs':
+                    return args[0].abs();
+                case 'min':
+                    return args.reduce((a, b) => (b.compare(a) < 0 ? b : a));
+                case 'max':
+                    return args.reduce((a, b) => (b.compare(a) > 0 ? b : a));
+                case 'pow':
+                    return this.power(args[0], args[1]);
+                case 'sqrt': {
+                    if (args[0].numerator < 0n) {
+                        throw new Error('Square root of a negative number');
+                    }
+                    const numerator = exactSqrt(args[0].numerator);
+                    const denominator = exactSqrt(args[0].denominator);
+                    if (numerator === null || denominator === null) {
+                        throw new Error(`sqrt(${args[0]}) is irrational; switch to float mode`);
+                    }
+                    return new Rational(numerator, denominator);
+                }
+                default:
+                    throw new Error(`Function '${name}' has no exact result; switch to float mode`);
+            }
+        }
+
+        /**
+         * Order two values, for the relational operators
+         * @param {Rational} operand1 - Left operand
+         * @param {Rational} operand2 - Right operand
+         * @returns {number} Negative, zero or positive
+         */
+        compare(operand1, operand2) {
+            return operand1.compare(operand2);
+        }
+
+        /**
+         * @param {Rational} value - Result
+         * @returns {string} Display text
+         */
+        format(value) {
+            return value.toString();
+        }
+    }
+
+    /**
+     * Arbitrary-precision integers: products of any size stay exact. Every value must be a
+     * whole number, so '/' only accepts exact divisions; '//' rounds down as in float mode.
+     */
+    class BigIntArithmetic {
+        constructor() {
+            this.name = 'bigint';
+        }
+
+        /**
+         * @param {string} text - Number literal
+         * @returns {bigint} Value
+         */
+        fromLiteral(text) {
+            const value = Rational.parse(text);
+            if (!value.isInteger()) {
+                throw new Error(`'${text}' is not a whole number; big-integer mode only accepts integers`);
+            }
+            return value.numerator;
+        }
+
+        /**
+         * @param {number} value - Variable value
+         * @returns {bigint} Value
+         */
+        fromNumber(value) {
+            if (!Number.isInteger(value)) {
+                throw new Error(`${value} is not a whole number; big-integer mode only accepts integers`);
+            }
+            return BigInt(value);
+        }
+
+        /**
+         * @param {bigint} operand - Operand
+         * @returns {bigint} -operand
+         */
+        negate(operand) {
+            return -operand;
+        }
+
+        /**
+         * Apply a binary operator
+         * @param {string} operator - Operator symbol
+         * @param {bigint} operand1 - Left operand
+         * @param {bigint} operand2 - Right operand
+         * @returns {bigint} Result
+         */
+        operate(operator, operand1, operand2) {
+            switch (operator) {
+                case '+':
+                    return operand1 + operand2;
+                case '-':
+                    return operand1 - operand2;
+                case '*':
+                    return operand1 * operand2;
+                case '/':
+                    if (operand2 === 0n) {
+                        throw new Error('Division by zero');
+                    }
+                    if (operand1 % operand2 !== 0n) {
+                        throw new Error(`${operand1} / ${operand2} is not a whole number; use // or exact rational mode`);
+                    }
+                    return operand1 / operand2;
+                case '//':
+                    if (operand2 === 0n) {
+                        throw new Error('Division by zero');
+                    }
+                    return floorDivide(operand1, operand2);
+                case '%':
+                    if (operand2 === 0n) {
+                        throw new Error('Modulo by zero');
+                    }
+                    return operand1 % operand2;
+                case '^':
+                    return this.power(operand1, operand2);
+                default:
+                    throw new Error(`Unknown operator: ${operator}`);
+            }
+        }
+
+        /**
+         * Raise to a non-negative power
+         * @param {bigint} base - Base
+         * @param {bigint} exponent - Exponent
+         * @returns {bigint} Result
+         */
+        power(base, exponent) {
+            if (exponent < 0n) {
+                throw new Error(`Negative exponent ${exponent} does not give a whole number; use exact rational mode`);
+            }
+            checkPowerSize(base, exponent);
+            return base ** exponent;
+        }
+
+        /**
+         * Call a built-in function exactly, refusing those without an exact result
+         * @param {string} name - Function name
+         * @param {Array<bigint>} args - Arguments
+         * @returns {bigint} Result
+         */
+        call(name, args) {
+            switch (name) {
+                case 'abs':
+                    return bigAbs(args[0]);
+                case 'min':
+                    return args.reduce((a, b) => (b < a ? b : a));
+                case 'max':
+                    return args.reduce((a, b) => (b > a ? b : a));
+                case 'pow':
+                    return this.power(args[0], args[1]);
+                case 'sqrt': {
+                    if (args[0] < 0n) {
+                        throw new Error('Square root of a negative number');
+                    }
+                    const root = exactSqrt(args[0]);
+                    if (root === null) {
+                        throw new Error(`sqrt(${args[0]}) is not a whole number; switch to float mode`);
+                    }
+                    return root;
+                }
+                default:
+                    throw new Error(`Function '${name}' has no whole-number result; switch to float mode`);
+            }
+        }
+
+        /**
+         * Order two values, for the relational operators
+         * @param {bigint} operand1 - Left operand
+         * @param {bigint} operand2 - Right operand
+         * @returns {number} Negative, zero or positive
+         */
+        compare(operand1, operand2) {
+            return operand1 < operand2 ? -1 : operand1 > operand2 ? 1 : 0;
+        }
+
+        /**
+         * @param {bigint} value - Result
+         * @returns {string} Display text
+         */
+        format(value) {
+            return value.toString();
+        }
+    }
+
+    const NUMERIC_MODES = {
+        float: new FloatArithmetic(),
+        rational: new RationalArithmetic(),
+        bigint: new BigIntArithmetic()
+    };
+
+    return { Rational, NUMERIC_MODES };
+});
@@ -0,0 +1,273 @@
+/**
+ * Operator Editor
+ * Shows the engine's precedence table and lets the user add, edit and remove custom operators.
+ * Custom definitions are kept in localStorage and defined again on the next visit.
+ * Loaded as a plain <script> (after markup.js) it exposes `window.ExprOperatorEditor`.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.ExprOperatorEditor = factory(root.ExprMarkup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (markup) {
+    'use strict';
+
+    const { escapeHtml } = markup;
+
+    const STORAGE_KEY = 'customOperators';
+
+    // What each built-in operator does, for the table
+    const BUILT_IN_DESCRIPTIONS = {
+        '->': 'Implies',
+        '||': 'Or',
+        '^^': 'Exclusive or',
+        'xor': 'Exclusive or',
+        '&&': 'And',
+        '==': 'Equal',
+        '!=': 'Not equal',
+        '<': 'Less than',
+        '<=': 'Less than or equal',
+        '>': 'Greater than',
+        '>=': 'Greater than or equal',
+        '+': 'Addition',
+        '-': 'Subtraction',
+        '*': 'Multiplication',
+        '/': 'Division',
+        '%': 'Modulo',
+        '//': 'Integer (floor) division',
+        '~': "Negation (written '-' in infix)",
+        '!': 'Not',
+        '^': 'Exponent'
+    };
+
+    class OperatorEditor {
+        /**
+         * @param {Object} engine - ExpressionEngine whose operator table is edited
+         * @param {Function} onChange - Called after a custom operator is saved or removed
+         */
+        constructor(engine, onChange) {
+            this.engine = engine;
+            this.onChange = onChange;
+            this.load();
+            this.initializeControls();
+            this.render();
+        }
+
+        /**
+         * Define the operators saved by an earlier visit; any that no longer apply are dropped
+         */
+        load() {
+            let saved = [];
+            try {
+                saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            } catch (error) {
+                saved = [];
+            }
+            let dropped = false;
+            for (const definition of Array.isArray(saved) ? saved : []) {
+                try {
+                    this.engine.defineOperator(definition);
+                } catch (error) {
+                    dropped = true;
+                }
+            }
+            if (dropped) {
+                this.save();
+            }
+        }
+
+        /**
+         * Define operators that came with a shared link; definitions that are refused are skipped.
+         * A custom operator the visitor already has is kept, and a link that defines its symbol
+         * differently is reported instead of replacing it. Nothing is stored, so opening a link
+         * does not overwrite the operators saved by the visitor
+         * @param {Array<Object>} definitions - Definitions as accepted by defineOperator()
+         * @returns {Array<string>} Symbols whose linked definition was not used because it conflicts
+         */
+        importOperators(definitions) {
+            const conflicts = [];
+            for (const definition of definitions) {
+                const existing = this.engine.customOperators().find(operator => operator.symbol === definition.symbol);
+                if (existing) {
+                    if (['arity', 'precedence', 'associativity', 'formula'].some(key => existing[key] !== definition[key])) {
+                        conflicts.push(definition.symbol);
+                    }
+                    continue;
+                }
+                try {
+                    this.engine.defineOperator(definition);
+                } catch (error) {
+                    // The conversion that needs it will report the unknown symbol
+                }
+            }
+            this.render();
+            if (conflicts.length > 0) {
+                const symbols = conflicts.map(symbol => `'${symbol}'`).join(', ');
+                this.showError(`The link defines ${symbols} differently; your own definition is kept, so results may differ from the shared ones`);
+            }
+            return conflicts;
+        }
+
+        /**
+         * Store the current custom operators
+         */
+        save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.engine.customOperators()));
+        }
+
+        /**
+         * Initialize event listeners for the form and the table
+         */
+        initializeControls() {
+            document.getElementById('operatorForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSave();
+            });
+            document.getElementById('operatorArity').addEventListener('change', () => this.updateAssociativity());
+            document.getElementById('operatorTable').addEventListener('click', (e) => {
+                const button = e.target.closest('[data-operator-action]');
+                if (!button) {
+                    return;
+                }
+                if (button.dataset.operatorAction === 'edit') {
+                    this.handleEdit(button.dataset.symbol);
+                } else {
+                    this.handleRemove(button.dataset.symbol);
+                }
+            });
+        }
+
+        /**
+         * Unary operators are always right-associative, so the choice is disabled for them
+         */
+        updateAssociativity() {
+            const unary = document.getElementById('operatorArity').value === '1';
+            const associativity = document.getElementById('operatorAssociativity');
+            associativity.disabled = unary;
+            if (unary) {
+                associativity.value = 'right';
+            }
+        }
+
+        /**
+         * Define the operator described by the form, replacing a custom one with the same symbol
+         */
+        handleSave() {
+            try {
+                this.engine.defineOperator({
+                    symbol: document.getElementById('operatorSymbol').value.trim(),
+                    arity: Number(document.getElementById('operatorArity').value),
+                    precedence: Number(document.getElementById('operatorPrecedence').value),
+                    associativity: document.getElementById('operatorAssociativity').value,
+                    formula: document.getElementById('operatorFormula').value.trim()
+                });
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
+            this.hideError();
+            document.getElementById('operatorSymbol').value = '';
+            document.getElementById('operatorFormula').value = '';
+            this.changed();
+        }
+
+        /**
+         * Copy a custom operator into the form for editing
+         * @param {string} symbol - Operator symbol
+         */
+        handleEdit(symbol) {
+            const definition = this.engine.customOperators().find(operator => operator.symbol === symbol);
+            document.getElementById('operatorSymbol').value = definition.symbol;
+            document.getElementById('operatorArity').value = String(definition.arity);
+            document.getElementById('operatorPrecedence').value = String(definition.precedence);
+            document.getElementById('operatorAssociativity').value = definition.associativity;
+            document.getElementById('operatorFormula').value = definition.formula;
+            this.updateAssociativity();
+            this.hideError();
+        }
+
+        /**
+         * Remove a custom operator
+         * @param {string} symbol - Operator symbol
+         */
+        handleRemove(symbol) {
+            try {
+                this.engine.removeOperator(symbol);
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
+            this.hideError();
+            this.changed();
+        }
+
+        /**
+         * Store and redraw after an edit, then let the page react
+         */
+        changed() {
+            this.save();
+            this.render();
+            this.onChange();
+        }
+
+        /**
+         * Draw the precedence table, tightest-binding operators first
+         */
+        render() {
+            const engine = this.engine;
+            const symbols = Object.keys(engine.operators)
+                .sort((a, b) => engine.getPrecedence(b) - engine.getPrecedence(a));
+
+            const rows = symbols.map(symbol => {
+                const operator = engine.operators[symbol];
+                const custom = engine.isCustomOperator(symbol);
+                const meaning = custom
+                    ? `<code>${escapeHtml(operator.custom.formula)}</code>`
+                    : escapeHtml(BUILT_IN_DESCRIPTIONS[symbol] ?? '');
+                const actions = custom
+                    ? `<button type="button" class="btn btn-sm btn-outline-secondary" data-operator-action="edit" data-symbol="${escapeHtml(symbol)}" title="Edit">
+                           <i class="fas fa-pen"></i>
+                       </button>
+                       <button type="button" class="btn btn-sm btn-outline-danger" data-operator-action="remove" data-symbol="${escapeHtml(symbol)}" title="Remove">
+                           <i class="fas fa-trash"></i>
+                       </button>`
+                    : '<span class="text-muted small">built-in</span>';
+                return `<tr${custom ? ' class="custom-operator"' : ''}>
+                    <td>${operator.precedence}</td>
+                    <td><code>${escapeHtml(symbol)}</code></td>
+                    <td>${engine.isUnary(symbol) ? 'Unary' : 'Binary'}</td>
+                    <td>${operator.associativity}</td>
+                    <td>${meaning}</td>
+                    <td class="text-nowrap">${actions}</td>
+                </tr>`;
+            }).join('');
+
+            document.getElementById('operatorTable').innerHTML = `
+                <table class="table table-sm table-bordered operator-table align-middle mb-0">
+                    <thead><tr><th>Precedence</th><th>Symbol</th><th>Operands</th><th>Associativity</th><th>Meaning</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>`;
+        }
+
+        /**
+         * Show a problem with the form
+         * @param {string} message - Error message
+         */
+        showError(message) {
+            const error = document.getElementById('operatorError');
+            error.textContent = message;
+            error.classList.remove('d-none');
+        }
+
+        /**
+         * Hide the form error
+         */
+        hideError() {
+            document.getElementById('operatorError').classList.add('d-none');
+        }
+    }
+
+    return { OperatorEditor };
+});
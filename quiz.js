@@ -0,0 +1,341 @@
+/**
+ * Practice Mode
+ * Generates random infix expressions at a chosen difficulty and grades the learner's postfix or
+ * prefix token by token, pointing at the first step of the conversion where the answer goes wrong.
+ * Score and streak are kept in localStorage.
+ * Loaded as a plain <script> (after markup.js) it exposes `window.ExprQuiz`; under Node it is
+ * a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.ExprQuiz = factory(root.ExprMarkup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (markup) {
+    'use strict';
+
+    const { escapeHtml } = markup;
+
+    const STORAGE_KEY = 'quizStats';
+
+    // Names used for variable leaves
+    const QUIZ_VARIABLES = ['a', 'b', 'c', 'd', 'x', 'y'];
+
+    // Draws of a node or expression that misses the parentheses setting before taking what came up
+    const MAX_ATTEMPTS = 50;
+
+    const PHASE_LABELS = {
+        postfix: 'Infix → Postfix',
+        prefix: 'Infix → Prefix'
+    };
+
+    /**
+     * Build a random syntax tree of binary operators exactly `depth` levels deep
+     * @param {number} depth - Operator levels; 0 gives a single operand
+     * @param {Object} options - Operators to use and whether leaves may be variables
+     * @param {Function} random - Source of numbers in [0, 1)
+     * @param {Function} accept - Each operator node is drawn again (up to MAX_ATTEMPTS times) until this accepts it
+     * @returns {Object} Syntax tree
+     */
+    function randomTree(depth, options, random, accept) {
+        const pick = (items) => items[Math.floor(random() * items.length)];
+        if (depth === 0) {
+            return options.variables && random() < 0.4
+                ? { type: 'variable', name: pick(QUIZ_VARIABLES) }
+                : { type: 'number', value: String(1 + Math.floor(random() * 9)) };
+        }
+        let node;
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            // One side carries the full depth, the other is anything shallower
+            const deep = randomTree(depth - 1, options, random, accept);
+            const shallow = randomTree(Math.floor(random() * depth), options, random, accept);
+            const [left, right] = random() < 0.5 ? [deep, shallow] : [shallow, deep];
+            node = { type: 'binary', operator: pick(options.operators), left, right };
+            if (accept(node)) {
+                break;
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Generate a random infix expression to convert
+     * @param {Object} engine - ExpressionEngine used to write the expression
+     * @param {Object} options - Difficulty
+     * @param {number} options.depth - Levels of operators, 1 to 4
+     * @param {Array<string>} options.operators - Binary operators to draw from
+     * @param {boolean} options.parentheses - Whether the expression should need parentheses
+     * @param {boolean} options.variables - Whether operands may be variables as well as digits
+     * @param {Function} random - Source of numbers in [0, 1), Math.random by default
+     * @returns {string} Infix expression with only the parentheses it needs
+     * @throws {Error} If no operators are chosen
+     */
+    function generateExpression(engine, { depth = 2, operators = ['+', '-', '*', '/'], parentheses = true, variables = false } = {}, random = Math.random) {
+        if (operators.length === 0) {
+            throw new Error('Choose at least one operator');
+        }
+        // Without parentheses every subtree must be free of them, so check each node as it is
+        // drawn; with them, a whole expression is drawn until one needs a pair somewhere
+        const accept = parentheses ? () => true : (node) => !engine.toInfix(node, 'minimal').includes('(');
+        let infix = '';
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            infix = engine.toInfix(randomTree(depth, { operators, variables }, random, accept), 'minimal');
+            if (infix.includes('(') === parentheses) {
+                break;
+            }
+        }
+        return infix;
+    }
+
+    /**
+     * The first conversion step whose output puts the expected token at `index` in place.
+     * Postfix is written in output order; prefix is the reversed output, so its token at
+     * `index` is emitted `length - index` tokens into the output.
+     * @param {Array<Object>} trace - Trace of infixToPostfix or infixToPrefix
+     * @param {string} notation - 'postfix' or 'prefix'
+     * @param {number} length - Number of tokens in the expected answer
+     * @param {number} index - Position of the first wrong token
+     * @returns {Object|null} Step record with its 1-based `number` among the phase's steps, not
+     *          counting the notes that reverse the input and the result in prefix mode
+     */
+    function divergentStep(trace, notation, length, index) {
+        if (index >= length) {
+            return null;
+        }
+        const needed = notation === 'prefix' ? length - index : index + 1;
+        const steps = trace.filter(step => step.kind === 'step' && step.phase === notation &&
+            step.action !== 'reverse' && step.action !== 'finish');
+        const position = steps.findIndex(step => step.output.length >= needed);
+        return position === -1 ? null : { ...steps[position], number: position + 1 };
+    }
+
+    /**
+     * Check a learner's postfix or prefix against the converter, token by token
+     * @param {Object} engine - ExpressionEngine
+     * @param {string} infix - The question
+     * @param {string} notation - 'postfix' or 'prefix'
+     * @param {string} answer - The learner's answer, tokens separated by spaces
+     * @returns {{correct: boolean, expected: Array<string>, given: Array<string>, index: number|null, step: Object|null}}
+     *          `index` is the position of the first wrong, missing or extra token, and `step` the
+     *          step of the conversion trace that produces the expected token there
+     * @throws {ExpressionError} If the answer contains characters that are not tokens
+     */
+    function gradeAnswer(engine, infix, notation, answer) {
+        const trace = [];
+        const converted = notation === 'prefix' ? engine.infixToPrefix(infix, trace) : engine.infixToPostfix(infix, trace);
+        const expected = converted.split(' ');
+        const given = engine.tokenize(answer).map(token => token.value);
+
+        let index = expected.findIndex((token, i) => token !== given[i]);
+        if (index === -1 && given.length > expected.length) {
+            index = expected.length;
+        }
+        if (index === -1) {
+            return { correct: true, expected, given, index: null, step: null };
+        }
+        return { correct: false, expected, given, index, step: divergentStep(trace, notation, expected.length, index) };
+    }
+
+    class QuizPanel {
+        /**
+         * @param {Object} engine - ExpressionEngine used to generate and grade questions
+         */
+        constructor(engine) {
+            this.engine = engine;
+            this.question = null; // {infix, notation, answered}
+            this.stats = this.loadStats();
+            this.initializeControls();
+            this.renderStats();
+        }
+
+        /**
+         * Read the stored score
+         * @returns {{correct: number, attempted: number, streak: number, best: number}} Stats
+         */
+        loadStats() {
+            const empty = { correct: 0, attempted: 0, streak: 0, best: 0 };
+            try {
+                return { ...empty, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+            } catch (error) {
+                return empty;
+            }
+        }
+
+        /**
+         * Store the score
+         */
+        saveStats() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.stats));
+        }
+
+        /**
+         * Initialize event listeners for the practice controls
+         */
+        initializeControls() {
+            document.getElementById('quizNewBtn').addEventListener('click', () => this.newQuestion());
+            document.getElementById('quizCheckBtn').addEventListener('click', () => this.check());
+            document.getElementById('quizRevealBtn').addEventListener('click', () => this.reveal());
+            document.getElementById('quizResetBtn').addEventListener('click', () => this.resetStats());
+            document.getElementById('quizAnswer').addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.check();
+                }
+            });
+        }
+
+        /**
+         * Read the difficulty controls
+         * @returns {Object} Options for generateExpression()
+         */
+        getOptions() {
+            return {
+                depth: Number(document.getElementById('quizDepth').value),
+                operators: [...document.querySelectorAll('[data-quiz-operator]')]
+                    .filter(input => input.checked)
+                    .map(input => input.dataset.quizOperator),
+                parentheses: document.getElementById('quizParentheses').checked,
+                variables: document.getElementById('quizVariables').checked
+            };
+        }
+
+        /**
+         * Draw a new expression at the chosen difficulty
+         */
+        newQuestion() {
+            const feedback = document.getElementById('quizFeedback');
+            let infix;
+            try {
+                infix = generateExpression(this.engine, this.getOptions());
+            } catch (error) {
+                feedback.innerHTML = `<div class="text-danger">${escapeHtml(error.message)}</div>`;
+                return;
+            }
+            const notation = document.getElementById('quizNotation').value;
+            this.question = { infix, notation, answered: false };
+
+            document.getElementById('quizQuestion').innerHTML =
+                `Convert to <strong>${notation}</strong>: <code class="quiz-expression">${escapeHtml(infix)}</code>`;
+            document.getElementById('quizAnswer').value = '';
+            document.getElementById('quizAnswer').disabled = false;
+            document.getElementById('quizCheckBtn').disabled = false;
+            document.getElementById('quizRevealBtn').disabled = false;
+            feedback.innerHTML = '';
+            document.getElementById('quizAnswer').focus?.();
+        }
+
+        /**
+         * Grade the answer. Only the first check of a question counts towards the score.
+         */
+        check() {
+            if (!this.question) {
+                return;
+            }
+            const { infix, notation } = this.question;
+            const feedback = document.getElementById('quizFeedback');
+            let grade;
+            try {
+                grade = gradeAnswer(this.engine, infix, notation, document.getElementById('quizAnswer').value);
+            } catch (error) {
+                feedback.innerHTML = `<div class="text-danger">${escapeHtml(error.message)}</div>`;
+                return;
+            }
+
+            this.score(grade.correct);
+            feedback.innerHTML = this.describe(grade);
+        }
+
+        /**
+         * Show the expected answer; a question revealed before it was answered counts as missed
+         */
+        reveal() {
+            if (!this.question) {
+                return;
+            }
+            const { infix, notation } = this.question;
+            const answer = notation === 'prefix' ? this.engine.infixToPrefix(infix) : this.engine.infixToPostfix(infix);
+            this.score(false);
+            document.getElementById('quizFeedback').innerHTML =
+                `<div>Answer: <code>${escapeHtml(answer)}</code></div>`;
+        }
+
+        /**
+         * Count the first result of the current question
+         * @param {boolean} correct - Whether it was answered correctly
+         */
+        score(correct) {
+            if (this.question.answered) {
+                return;
+            }
+            this.question.answered = true;
+            this.stats.attempted++;
+            if (correct) {
+                this.stats.correct++;
+                this.stats.streak++;
+                this.stats.best = Math.max(this.stats.best, this.stats.streak);
+            } else {
+                this.stats.streak = 0;
+            }
+            this.saveStats();
+            this.renderStats();
+        }
+
+        /**
+         * Explain a grade: the answer with its tokens marked right or wrong, what should have
+         * come at the first wrong token, and the conversion step that produces it
+         * @param {Object} grade - Result of gradeAnswer()
+         * @returns {string} HTML
+         */
+        describe({ correct, expected, given, index, step }) {
+            const tokens = given.map((token, i) => {
+                const state = correct || i < index ? 'right' : i === index ? 'wrong' : 'unchecked';
+                return `<span class="quiz-token quiz-token-${state}">${escapeHtml(token)}</span>`;
+            }).join(' ');
+            const answerLine = given.length > 0 ? `<div class="mb-2">${tokens}</div>` : '';
+
+            if (correct) {
+                return `${answerLine}<div class="text-success fw-bold"><i class="fas fa-check me-1"></i>Correct!</div>`;
+            }
+
+            let message;
+            if (index >= expected.length) {
+                message = `Every token up to the end is right, but then comes an extra '${given[index]}'.`;
+            } else if (index >= given.length) {
+                message = `Your answer stops after ${given.length} token${given.length === 1 ? '' : 's'}; token ${index + 1} should be '${expected[index]}'.`;
+            } else {
+                message = `Token ${index + 1} should be '${expected[index]}', not '${given[index]}'.`;
+            }
+
+            const stepLine = step
+                ? `<div class="quiz-step mt-2">
+                       <div class="small text-muted">First divergent step (step ${step.number} of ${PHASE_LABELS[step.phase]}):</div>
+                       <div>${escapeHtml(step.text)}</div>
+                       <div class="small text-muted">Stack: [${escapeHtml(step.stack.join(', '))}] · Output: [${escapeHtml(step.output.join(', '))}]</div>
+                   </div>`
+                : '';
+            return `${answerLine}<div class="text-danger"><i class="fas fa-times me-1"></i>${escapeHtml(message)}</div>${stepLine}`;
+        }
+
+        /**
+         * Show the score and streak
+         */
+        renderStats() {
+            const { correct, attempted, streak, best } = this.stats;
+            document.getElementById('quizStats').textContent =
+                `Score: ${correct}/${attempted} · Streak: ${streak} · Best streak: ${best}`;
+        }
+
+        /**
+         * Start the score and streak again from zero
+         */
+        resetStats() {
+            this.stats = { correct: 0, attempted: 0, streak: 0, best: 0 };
+            this.saveStats();
+            this.renderStats();
+        }
+    }
+
+    return { QuizPanel, generateExpression, gradeAnswer };
+});
@@ -1,569 +1,817 @@
-/**
- * Expression Converter & Evaluator
- * Implements stack-based algorithms for infix to postfix/prefix conversion and evaluation
- */
-
-class ExpressionConverter {
-    constructor() {
-        this.operators = {
-            '+': { precedence: 1, associativity: 'left' },
-            '-': { precedence: 1, associativity: 'left' },
-            '*': { precedence: 2, associativity: 'left' },
-            '/': { precedence: 2, associativity: 'left' }
-        };
-        this.steps = [];
-        this.initializeEventListeners();
-        this.initializeTheme();
-    }
-
-    /**
-     * Initialize event listeners for UI interactions
-     */
-    initializeEventListeners() {
-        document.getElementById('convertBtn').addEventListener('click', () => this.handleConvert());
-        document.getElementById('evaluatePostfixBtn').addEventListener('click', () => this.handleEvaluatePostfix());
-        document.getElementById('evaluatePrefixBtn').addEventListener('click', () => this.handleEvaluatePrefix());
-        document.getElementById('clearBtn').addEventListener('click', () => this.handleClear());
-        document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
-        
-        // Allow Enter key to trigger conversion
-        document.getElementById('infixInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                this.handleConvert();
-            }
-        });
-    }
-
-    /**
-     * Initialize theme based on user preference
-     */
-    initializeTheme() {
-        const savedTheme = localStorage.getItem('theme') || 'light';
-        this.setTheme(savedTheme);
-    }
-
-    /**
-     * Toggle between light and dark themes
-     */
-    toggleTheme() {
-        const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
-        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
-        this.setTheme(newTheme);
-    }
-
-    /**
-     * Set the application theme
-     * @param {string} theme - 'light' or 'dark'
-     */
-    setTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('theme', theme);
-        
-        const themeIcon = document.querySelector('#themeToggle i');
-        themeIcon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
-    }
-
-    /**
-     * Handle convert button click
-     */
-    handleConvert() {
-        try {
-            this.hideError();
-            const infix = this.getInputValue();
-            
-            if (!infix.trim()) {
-                this.showError('Please enter an infix expression');
-                return;
-            }
-
-            this.validateExpression(infix);
-            
-            this.steps = [];
-            const postfix = this.infixToPostfix(infix);
-            const prefix = this.infixToPrefix(infix);
-            
-            this.displayResult('postfixResult', postfix);
-            this.displayResult('prefixResult', prefix);
-            this.displaySteps();
-            
-            // Enable evaluation buttons
-            document.getElementById('evaluatePostfixBtn').disabled = false;
-            document.getElementById('evaluatePrefixBtn').disabled = false;
-            
-        } catch (error) {
-            this.showError(error.message);
-        }
-    }
-
-    /**
-     * Handle evaluate postfix button click
-     */
-    handleEvaluatePostfix() {
-        try {
-            this.hideError();
-            const postfixElement = document.getElementById('postfixResult');
-            const postfix = postfixElement.textContent.trim();
-            
-            if (!postfix || postfix === 'No conversion yet') {
-                this.showError('Please convert an expression first');
-                return;
-            }
-
-            const result = this.evaluatePostfix(postfix);
-            this.displayResult('postfixEvalResult', `Result: ${result}`, true);
-            
-        } catch (error) {
-            this.showError('Error evaluating postfix: ' + error.message);
-        }
-    }
-
-    /**
-     * Handle evaluate prefix button click
-     */
-    handleEvaluatePrefix() {
-        try {
-            this.hideError();
-            const prefixElement = document.getElementById('prefixResult');
-            const prefix = prefixElement.textContent.trim();
-            
-            if (!prefix || prefix === 'No conversion yet') {
-                this.showError('Please convert an expression first');
-                return;
-            }
-
-            const result = this.evaluatePrefix(prefix);
-            this.displayResult('prefixEvalResult', `Result: ${result}`, true);
-            
-        } catch (error) {
-            this.showError('Error evaluating prefix: ' + error.message);
-        }
-    }
-
-    /**
-     * Handle clear button click
-     */
-    handleClear() {
-        document.getElementById('infixInput').value = '';
-        this.displayResult('postfixResult', '<span class="text-muted">No conversion yet</span>');
-        this.displayResult('prefixResult', '<span class="text-muted">No conversion yet</span>');
-        this.displayResult('postfixEvalResult', '<span class="text-muted">No evaluation yet</span>');
-        this.displayResult('prefixEvalResult', '<span class="text-muted">No evaluation yet</span>');
-        document.getElementById('stepsContainer').innerHTML = '<span class="text-muted">Enter an expression and convert to see algorithm steps</span>';
-        this.hideError();
-        
-        // Disable evaluation buttons
-        document.getElementById('evaluatePostfixBtn').disabled = true;
-        document.getElementById('evaluatePrefixBtn').disabled = true;
-    }
-
-    /**
-     * Get and clean input value
-     * @returns {string} Cleaned input value
-     */
-    getInputValue() {
-        return document.getElementById('infixInput').value.trim().replace(/\s+/g, '');
-    }
-
-    /**
-     * Validate infix expression
-     * @param {string} expression - Expression to validate
-     * @throws {Error} If expression is invalid
-     */
-    validateExpression(expression) {
-        // Check for valid characters (letters, numbers, operators, parentheses)
-        const validChars = /^[a-zA-Z0-9+\-*/().]+$/;
-        if (!validChars.test(expression)) {
-            throw new Error('Invalid characters in expression. Only letters (a-z), numbers (0-9), +, -, *, /, (, ) are allowed.');
-        }
-
-        // Check for balanced parentheses
-        let balance = 0;
-        for (const char of expression) {
-            if (char === '(') balance++;
-            else if (char === ')') balance--;
-            if (balance < 0) {
-                throw new Error('Unmatched closing parenthesis');
-            }
-        }
-        if (balance !== 0) {
-            throw new Error('Unmatched opening parenthesis');
-        }
-
-        // Check for consecutive operators
-        if (/[+\-*/]{2,}/.test(expression)) {
-            throw new Error('Consecutive operators are not allowed');
-        }
-
-        // Check for operator at start/end (except - at start)
-        if (/[+*/]$/.test(expression) || /^[+*/]/.test(expression)) {
-            throw new Error('Expression cannot start or end with +, *, or /');
-        }
-
-        // Check for empty parentheses
-        if (/\(\)/.test(expression)) {
-            throw new Error('Empty parentheses are not allowed');
-        }
-    }
-
-    /**
-     * Check if character is an operator
-     * @param {string} char - Character to check
-     * @returns {boolean} True if operator
-     */
-    isOperator(char) {
-        return char in this.operators;
-    }
-
-    /**
-     * Check if character is an operand (number or letter)
-     * @param {string} char - Character to check
-     * @returns {boolean} True if operand
-     */
-    isOperand(char) {
-        return /[0-9a-zA-Z]/.test(char);
-    }
-
-    /**
-     * Get operator precedence
-     * @param {string} op - Operator
-     * @returns {number} Precedence value
-     */
-    getPrecedence(op) {
-        return this.operators[op]?.precedence || 0;
-    }
-
-    /**
-     * Check if operator is left associative
-     * @param {string} op - Operator
-     * @returns {boolean} True if left associative
-     */
-    isLeftAssociative(op) {
-        return this.operators[op]?.associativity === 'left';
-    }
-
-    /**
-     * Convert infix expression to postfix using Shunting Yard algorithm
-     * @param {string} infix - Infix expression
-     * @returns {string} Postfix expression
-     */
-    infixToPostfix(infix) {
-        const output = [];
-        const operatorStack = [];
-        this.steps.push('Converting to Postfix (Shunting Yard Algorithm):');
-        
-        for (let i = 0; i < infix.length; i++) {
-            const char = infix[i];
-            
-            if (this.isOperand(char)) {
-                // Handle multi-digit numbers or multi-letter variables
-                let operand = '';
-                while (i < infix.length && this.isOperand(infix[i])) {
-                    operand += infix[i];
-                    i++;
-                }
-                i--; // Adjust for the extra increment
-                output.push(operand);
-                this.steps.push(`Read operand '${operand}' → Output: [${output.join(', ')}]`);
-                
-            } else if (char === '(') {
-                operatorStack.push(char);
-                this.steps.push(`Read '(' → Push to stack: [${operatorStack.join(', ')}]`);
-                
-            } else if (char === ')') {
-                while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
-                    const op = operatorStack.pop();
-                    output.push(op);
-                    this.steps.push(`Read ')' → Pop '${op}' to output: [${output.join(', ')}]`);
-                }
-                if (operatorStack.length > 0) {
-                    operatorStack.pop(); // Remove the '('
-                    this.steps.push(`Remove '(' from stack: [${operatorStack.join(', ')}]`);
-                }
-                
-            } else if (this.isOperator(char)) {
-                while (operatorStack.length > 0 && 
-                       operatorStack[operatorStack.length - 1] !== '(' &&
-                       (this.getPrecedence(operatorStack[operatorStack.length - 1]) > this.getPrecedence(char) ||
-                        (this.getPrecedence(operatorStack[operatorStack.length - 1]) === this.getPrecedence(char) && 
-                         this.isLeftAssociative(char)))) {
-                    const op = operatorStack.pop();
-                    output.push(op);
-                    this.steps.push(`Pop '${op}' (higher/equal precedence) to output: [${output.join(', ')}]`);
-                }
-                operatorStack.push(char);
-                this.steps.push(`Push '${char}' to stack: [${operatorStack.join(', ')}]`);
-            }
-        }
-        
-        // Pop remaining operators
-        while (operatorStack.length > 0) {
-            const op = operatorStack.pop();
-            output.push(op);
-            this.steps.push(`Pop remaining '${op}' to output: [${output.join(', ')}]`);
-        }
-        
-        const result = output.join(' ');
-        this.steps.push(`Final Postfix: ${result}`);
-        return result;
-    }
-
-    /**
-     * Convert infix expression to prefix
-     * @param {string} infix - Infix expression
-     * @returns {string} Prefix expression
-     */
-    infixToPrefix(infix) {
-        // Reverse the infix expression
-        let reversed = infix.split('').reverse().join('');
-        
-        // Replace ( with ) and vice versa
-        reversed = reversed.replace(/\(/g, 'TEMP').replace(/\)/g, '(').replace(/TEMP/g, ')');
-        
-        this.steps.push('\nConverting to Prefix:');
-        this.steps.push(`1. Reverse infix: ${reversed}`);
-        this.steps.push('2. Replace ( with ) and vice versa');
-        
-        // Convert to postfix
-        const postfix = this.infixToPostfixForPrefix(reversed);
-        this.steps.push(`3. Convert to postfix: ${postfix}`);
-        
-        // Reverse the result
-        const prefix = postfix.split(' ').reverse().join(' ');
-        this.steps.push(`4. Reverse result: ${prefix}`);
-        
-        return prefix;
-    }
-
-    /**
-     * Helper method for prefix conversion
-     * @param {string} infix - Modified infix expression
-     * @returns {string} Postfix expression
-     */
-    infixToPostfixForPrefix(infix) {
-        const output = [];
-        const operatorStack = [];
-        
-        for (let i = 0; i < infix.length; i++) {
-            const char = infix[i];
-            
-            if (this.isOperand(char)) {
-                let operand = '';
-                while (i < infix.length && this.isOperand(infix[i])) {
-                    operand += infix[i];
-                    i++;
-                }
-                i--;
-                output.push(operand);
-                
-            } else if (char === '(') {
-                operatorStack.push(char);
-                
-            } else if (char === ')') {
-                while (operatorStack.length > 0 && operatorStack[operatorStack.length - 1] !== '(') {
-                    output.push(operatorStack.pop());
-                }
-                if (operatorStack.length > 0) {
-                    operatorStack.pop();
-                }
-                
-            } else if (this.isOperator(char)) {
-                // For prefix conversion, use >= instead of > for right associativity
-                while (operatorStack.length > 0 && 
-                       operatorStack[operatorStack.length - 1] !== '(' &&
-                       this.getPrecedence(operatorStack[operatorStack.length - 1]) >= this.getPrecedence(char)) {
-                    output.push(operatorStack.pop());
-                }
-                operatorStack.push(char);
-            }
-        }
-        
-        while (operatorStack.length > 0) {
-            output.push(operatorStack.pop());
-        }
-        
-        return output.join(' ');
-    }
-
-    /**
-     * Evaluate postfix expression using stack
-     * @param {string} postfix - Postfix expression
-     * @returns {number} Result of evaluation
-     */
-    evaluatePostfix(postfix) {
-        const stack = [];
-        const tokens = postfix.split(' ');
-        
-        for (const token of tokens) {
-            if (this.isOperator(token)) {
-                if (stack.length < 2) {
-                    throw new Error('Invalid postfix expression: insufficient operands');
-                }
-                
-                const operand2 = stack.pop();
-                const operand1 = stack.pop();
-                const result = this.performOperation(operand1, operand2, token);
-                stack.push(result);
-                
-            } else if (!isNaN(parseFloat(token))) {
-                stack.push(parseFloat(token));
-            } else if (/^[a-zA-Z]+$/.test(token)) {
-                // For variables, we can't evaluate without values
-                throw new Error(`Cannot evaluate expression with variables. Variable '${token}' has no assigned value.`);
-            }
-        }
-        
-        if (stack.length !== 1) {
-            throw new Error('Invalid postfix expression: incorrect number of operators');
-        }
-        
-        return stack[0];
-    }
-
-    /**
-     * Evaluate prefix expression using stack
-     * @param {string} prefix - Prefix expression
-     * @returns {number} Result of evaluation
-     */
-    evaluatePrefix(prefix) {
-        const stack = [];
-        const tokens = prefix.split(' ').reverse(); // Process from right to left
-        
-        for (const token of tokens) {
-            if (this.isOperator(token)) {
-                if (stack.length < 2) {
-                    throw new Error('Invalid prefix expression: insufficient operands');
-                }
-                
-                const operand1 = stack.pop();
-                const operand2 = stack.pop();
-                const result = this.performOperation(operand1, operand2, token);
-                stack.push(result);
-                
-            } else if (!isNaN(parseFloat(token))) {
-                stack.push(parseFloat(token));
-            } else if (/^[a-zA-Z]+$/.test(token)) {
-                // For variables, we can't evaluate without values
-                throw new Error(`Cannot evaluate expression with variables. Variable '${token}' has no assigned value.`);
-            }
-        }
-        
-        if (stack.length !== 1) {
-            throw new Error('Invalid prefix expression: incorrect number of operators');
-        }
-        
-        return stack[0];
-    }
-
-    /**
-     * Perform arithmetic operation
-     * @param {number} operand1 - First operand
-     * @param {number} operand2 - Second operand
-     * @param {string} operator - Operator
-     * @returns {number} Result of operation
-     */
-    performOperation(operand1, operand2, operator) {
-        switch (operator) {
-            case '+':
-                return operand1 + operand2;
-            case '-':
-                return operand1 - operand2;
-            case '*':
-                return operand1 * operand2;
-            case '/':
-                if (operand2 === 0) {
-                    throw new Error('Division by zero');
-                }
-                return operand1 / operand2;
-            default:
-                throw new Error(`Unknown operator: ${operator}`);
-        }
-    }
-
-    /**
-     * Display result in specified element
-     * @param {string} elementId - ID of target element
-     * @param {string} content - Content to display
-     * @param {boolean} isEvaluation - Whether this is an evaluation result
-     */
-    displayResult(elementId, content, isEvaluation = false) {
-        const element = document.getElementById(elementId);
-        element.innerHTML = content;
-        
-        // Add visual feedback
-        element.classList.remove('has-content');
-        if (content && !content.includes('No conversion yet') && !content.includes('No evaluation yet')) {
-            element.classList.add('has-content', 'fade-in');
-            
-            if (isEvaluation) {
-                element.classList.add('pulse');
-                setTimeout(() => element.classList.remove('pulse'), 500);
-            }
-        }
-    }
-
-    /**
-     * Display algorithm steps
-     */
-    displaySteps() {
-        const stepsContainer = document.getElementById('stepsContainer');
-        const stepsHtml = this.steps.map((step, index) => {
-            if (step.includes(':') && !step.includes('→')) {
-                return `<div class="fw-bold mt-3 mb-2">${step}</div>`;
-            }
-            return `<div class="step-item">${index}. ${step}</div>`;
-        }).join('');
-        
-        stepsContainer.innerHTML = stepsHtml;
-        stepsContainer.classList.add('fade-in');
-    }
-
-    /**
-     * Show error message
-     * @param {string} message - Error message to display
-     */
-    showError(message) {
-        const errorContainer = document.getElementById('errorContainer');
-        const errorMessage = document.getElementById('errorMessage');
-        
-        errorMessage.textContent = message;
-        errorContainer.classList.remove('d-none');
-        errorContainer.classList.add('fade-in');
-        
-        // Auto-hide error after 5 seconds
-        setTimeout(() => this.hideError(), 5000);
-    }
-
-    /**
-     * Hide error message
-     */
-    hideError() {
-        const errorContainer = document.getElementById('errorContainer');
-        errorContainer.classList.add('d-none');
-        errorContainer.classList.remove('fade-in');
-    }
-}
-
-// Initialize the application when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    const app = new ExpressionConverter();
-    console.log('Expression Converter & Evaluator initialized successfully');
-});
-
-// Add some sample expressions for quick testing (optional)
-const sampleExpressions = [
-    '(2 + 3) * 4',
-    '10 + 2 * 6',
-    '100 * 2 + 12',
-    '(1 + 2) * (3 + 4)',
-    '2 + 3 * 4 - 5',
-    '(a + b) * c',
-    'x + y * z',
-    '(p + q) / (r - s)',
-    'a * b + c * d'
-];
-
-// Add click handler for sample expressions (if you want to add a samples section)
-function loadSample(expression) {
-    document.getElementById('infixInput').value = expression;
-}
\ No newline at end of file
+/**
+ * Expression Converter & Evaluator
+ * Page controller: wires the UI to the stack-based algorithms in engine.js
+ */
+
+const { ExpressionEngine, ExpressionError, Rational } = window.ExprEngine;
+const { renderTreeSvg } = window.ExprTreeView;
+const { StepPlayer } = window.ExprStepPlayer;
+const { Simplifier } = window.ExprSimplifier;
+const { Differentiator } = window.ExprDifferentiator;
+const { OperatorEditor } = window.ExprOperatorEditor;
+const { HistoryPanel, encodeState, decodeState } = window.ExprSession;
+const { BatchPanel } = window.ExprBatch;
+const { QuizPanel } = window.ExprQuiz;
+const { ExportPanel } = window.ExprExport;
+const { escapeHtml } = window.ExprMarkup;
+
+// Label and placeholder of the expression input for each input notation
+const INPUT_MODES = {
+    infix: { label: 'Infix Expression:', placeholder: 'e.g., (a + b) * c - d / 2 or (2 + 3) * 4' },
+    postfix: { label: 'Postfix Expression:', placeholder: 'e.g., a b + c * d 2 / -  or  2 3 + 4 *' },
+    prefix: { label: 'Prefix Expression:', placeholder: 'e.g., - * + a b c / d 2  or  * + 2 3 4' }
+};
+
+class ExpressionConverter {
+    constructor() {
+        this.engine = new ExpressionEngine();
+        this.player = new StepPlayer();
+        this.operatorEditor = new OperatorEditor(this.engine, () => this.handleOperatorsChanged());
+        this.history = new HistoryPanel(entry => this.handleHistorySelect(entry));
+        this.batch = new BatchPanel(this.engine, sampleExpressions, state => this.handleBatchSelect(state));
+        this.quiz = new QuizPanel(this.engine);
+        this.exporter = new ExportPanel(this.engine, () => this.exportContent());
+        this.simplifier = new Simplifier(this.engine);
+        this.differentiator = new Differentiator(this.engine);
+        this.ast = null;
+        this.conversion = null; // Expression and input mode behind the results shown
+        this.variables = [];
+        this.steps = [];
+        this.simplifySteps = [];
+        this.derivativeSteps = [];
+        this.evaluationSteps = { postfix: [], prefix: [] };
+        this.initializeEventListeners();
+        this.initializeTheme();
+        this.loadFromHash();
+    }
+
+    /**
+     * Initialize event listeners for UI interactions
+     */
+    initializeEventListeners() {
+        document.getElementById('convertBtn').addEventListener('click', () => this.handleConvert());
+        document.getElementById('evaluatePostfixBtn').addEventListener('click', () => this.handleEvaluatePostfix());
+        document.getElementById('evaluatePrefixBtn').addEventListener('click', () => this.handleEvaluatePrefix());
+        document.getElementById('simplifyBtn').addEventListener('click', () => this.handleSimplify());
+        document.getElementById('differentiateBtn').addEventListener('click', () => this.handleDifferentiate());
+        document.getElementById('clearBtn').addEventListener('click', () => this.handleClear());
+        document.getElementById('copyLinkBtn').addEventListener('click', () => this.handleCopyLink());
+        window.addEventListener('hashchange', () => this.loadFromHash());
+        document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
+        document.getElementById('inputMode').addEventListener('change', () => {
+            this.updateInputMode();
+            this.clearDiagnostics();
+        });
+        document.getElementById('expressionInput').addEventListener('input', () => this.clearDiagnostics());
+        document.getElementById('numericMode').addEventListener('change', (e) => this.setNumericMode(e.target.value));
+        document.getElementById('logicMode').addEventListener('change', () => this.displayTruthTable());
+        
+        // Allow Enter key to trigger conversion
+        document.getElementById('expressionInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleConvert();
+            }
+        });
+    }
+
+    /**
+     * Initialize theme based on user preference
+     */
+    initializeTheme() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+    }
+
+    /**
+     * Toggle between light and dark themes
+     */
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme') || 'light';
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+
+    /**
+     * Set the application theme
+     * @param {string} theme - 'light' or 'dark'
+     */
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        
+        const themeIcon = document.querySelector('#themeToggle i');
+        themeIcon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+    }
+
+    /**
+     * Get the selected input notation
+     * @returns {string} 'infix', 'postfix' or 'prefix'
+     */
+    getInputMode() {
+        return document.getElementById('inputMode').value;
+    }
+
+    /**
+     * Relabel the expression input for the selected notation
+     */
+    updateInputMode() {
+        const { label, placeholder } = INPUT_MODES[this.getInputMode()];
+        document.getElementById('expressionLabel').textContent = label;
+        document.getElementById('expressionInput').placeholder = placeholder;
+    }
+
+    /**
+     * Convert the current expression again after a custom operator changes, since its
+     * tokens, precedence or value may have changed
+     */
+    handleOperatorsChanged() {
+        if (this.ast !== null) {
+            this.handleConvert();
+        }
+    }
+
+    /**
+     * Handle convert button click
+     */
+    handleConvert() {
+        const expression = this.getInputValue();
+        try {
+            this.hideError();
+            this.clearDiagnostics();
+            const mode = this.getInputMode();
+            
+            if (!expression.trim()) {
+                this.showError(`Please enter a${mode === 'infix' ? 'n' : ''} ${mode} expression`);
+                return;
+            }
+
+            if (mode === 'infix') {
+                const errors = this.engine.diagnose(expression);
+                if (errors.length > 0) {
+                    this.showDiagnostics(expression, errors);
+                    return;
+                }
+            }
+            
+            const { ast, postfix, prefix, infix, parenthesized, steps } = this.engine.convert(expression, mode);
+            this.ast = ast;
+            this.conversion = { expression, mode };
+            this.steps = steps;
+            this.evaluationSteps = { postfix: [], prefix: [] };
+            this.showSimplified(null);
+            this.showDerivative(null);
+            
+            this.displayResult('postfixResult', escapeHtml(postfix));
+            this.displayResult('prefixResult', escapeHtml(prefix));
+            this.displayResult('infixResult', escapeHtml(infix));
+            this.displayResult('parenthesizedResult', escapeHtml(parenthesized));
+            this.displayTree(ast, expression);
+            this.displaySteps();
+            this.player.reset();
+            this.player.load(steps, mode === 'infix' ? 'postfix' : `${mode}-to-infix`);
+            this.variables = this.engine.findVariables(postfix);
+            this.renderVariableInputs(this.variables);
+            this.renderDiffVariables(this.variables);
+            this.displayTruthTable();
+            this.history.record({ ...this.currentState(), postfix, prefix, infix });
+            
+            // Enable evaluation buttons
+            document.getElementById('evaluatePostfixBtn').disabled = false;
+            document.getElementById('evaluatePrefixBtn').disabled = false;
+            document.getElementById('simplifyBtn').disabled = false;
+            document.getElementById('differentiateBtn').disabled = false;
+            document.getElementById('copyLinkBtn').disabled = false;
+            this.exporter.setEnabled(true);
+            
+        } catch (error) {
+            if (error instanceof ExpressionError && error.start !== null) {
+                this.showDiagnostics(expression, [error]);
+            } else {
+                this.showError(error.message);
+            }
+        }
+    }
+
+    /**
+     * Handle evaluate postfix button click
+     */
+    handleEvaluatePostfix() {
+        try {
+            this.hideError();
+            const postfixElement = document.getElementById('postfixResult');
+            const postfix = postfixElement.textContent.trim();
+            
+            if (!postfix || postfix === 'No conversion yet') {
+                this.showError('Please convert an expression first');
+                return;
+            }
+
+            const trace = [];
+            const result = this.engine.evaluatePostfix(postfix, this.getBindings(), trace);
+            this.displayResult('postfixEvalResult', `Result: ${this.formatResult(result)}`, true);
+            this.history.record({ ...this.currentState(), results: { postfix: this.engine.formatNumber(result) } });
+            this.player.load(trace, 'evaluate-postfix');
+            this.evaluationSteps.postfix = trace;
+            this.displaySteps();
+            
+        } catch (error) {
+            this.showError('Error evaluating postfix: ' + error.message);
+        }
+    }
+
+    /**
+     * Handle evaluate prefix button click
+     */
+    handleEvaluatePrefix() {
+        try {
+            this.hideError();
+            const prefixElement = document.getElementById('prefixResult');
+            const prefix = prefixElement.textContent.trim();
+            
+            if (!prefix || prefix === 'No conversion yet') {
+                this.showError('Please convert an expression first');
+                return;
+            }
+
+            const trace = [];
+            const result = this.engine.evaluatePrefix(prefix, this.getBindings(), trace);
+            this.displayResult('prefixEvalResult', `Result: ${this.formatResult(result)}`, true);
+            this.history.record({ ...this.currentState(), results: { prefix: this.engine.formatNumber(result) } });
+            this.player.load(trace, 'evaluate-prefix');
+            this.evaluationSteps.prefix = trace;
+            this.displaySteps();
+            
+        } catch (error) {
+            this.showError('Error evaluating prefix: ' + error.message);
+        }
+    }
+
+    /**
+     * Handle simplify button click: fold constants, apply identities and combine like terms
+     * in the converted expression, listing the rules that fired in the steps panel
+     */
+    handleSimplify() {
+        try {
+            this.hideError();
+            if (!this.ast) {
+                this.showError('Please convert an expression first');
+                return;
+            }
+
+            const trace = [];
+            this.showSimplified(this.simplifier.simplify(this.ast, trace));
+            this.simplifySteps = trace;
+            this.displaySteps();
+
+        } catch (error) {
+            this.showError('Error simplifying: ' + error.message);
+        }
+    }
+
+    /**
+     * Show the simplified expression under each conversion result, or hide it
+     * @param {Object|null} simplified - Simplified syntax tree, or null to hide
+     */
+    showSimplified(simplified) {
+        const forms = {
+            postfixSimplified: () => this.engine.toPostfix(simplified),
+            prefixSimplified: () => this.engine.toPrefix(simplified),
+            infixSimplified: () => this.engine.toInfix(simplified, 'minimal')
+        };
+        for (const [id, write] of Object.entries(forms)) {
+            const element = document.getElementById(id);
+            element.textContent = simplified ? `Simplified: ${write()}` : '';
+            element.classList.toggle('d-none', !simplified);
+        }
+        if (!simplified) {
+            this.simplifySteps = [];
+        }
+    }
+
+    /**
+     * Handle differentiate button click: derive the converted expression with respect to the
+     * selected variable, simplify the result and list the rules applied in the steps panel
+     */
+    handleDifferentiate() {
+        try {
+            this.hideError();
+            if (!this.ast) {
+                this.showError('Please convert an expression first');
+                return;
+            }
+
+            const variable = document.getElementById('diffVariable').value;
+            const derivationTrace = [];
+            const simplificationTrace = [];
+            const derivative = this.differentiator.differentiate(this.ast, variable, derivationTrace);
+            const simplified = this.simplifier.simplify(derivative, simplificationTrace);
+            this.showDerivative(simplified, variable);
+            this.derivativeSteps = [derivationTrace, simplificationTrace];
+            this.displaySteps();
+
+        } catch (error) {
+            this.showError('Error differentiating: ' + error.message);
+        }
+    }
+
+    /**
+     * Show a derivative in all three notations, or hide the derivative section
+     * @param {Object|null} derivative - Derivative syntax tree, or null to hide
+     * @param {string} variable - Variable it was taken with respect to
+     */
+    showDerivative(derivative, variable = 'x') {
+        const section = document.getElementById('derivativeSection');
+        section.classList.toggle('d-none', !derivative);
+        if (!derivative) {
+            this.derivativeSteps = [];
+            return;
+        }
+
+        document.getElementById('derivativeLabel').textContent = `Derivative d/d${variable}:`;
+        this.displayResult('derivativeResult', `
+            <div><span class="text-muted">Infix:</span> ${escapeHtml(this.engine.toInfix(derivative, 'minimal'))}</div>
+            <div><span class="text-muted">Postfix:</span> ${escapeHtml(this.engine.toPostfix(derivative))}</div>
+            <div><span class="text-muted">Prefix:</span> ${escapeHtml(this.engine.toPrefix(derivative))}</div>`);
+    }
+
+    /**
+     * List the expression's variables as choices for differentiation, keeping the current choice
+     * @param {Array<string>} variables - Variable names in order of appearance
+     */
+    renderDiffVariables(variables) {
+        const select = document.getElementById('diffVariable');
+        const previous = select.value;
+        const choices = variables.length > 0 ? variables : ['x'];
+        select.innerHTML = choices.map(name => `<option value="${name}">${name}</option>`).join('');
+        select.value = choices.includes(previous) ? previous : choices[0];
+    }
+
+    /**
+     * Handle clear button click
+     */
+    handleClear() {
+        document.getElementById('expressionInput').value = '';
+        this.displayResult('postfixResult', '<span class="text-muted">No conversion yet</span>');
+        this.displayResult('prefixResult', '<span class="text-muted">No conversion yet</span>');
+        this.displayResult('infixResult', '<span class="text-muted">No conversion yet</span>');
+        this.displayResult('parenthesizedResult', '<span class="text-muted">No conversion yet</span>');
+        document.getElementById('expressionTree').innerHTML = '<span class="text-muted">No conversion yet</span>';
+        document.getElementById('treeSource').innerHTML = '';
+        this.displayResult('postfixEvalResult', '<span class="text-muted">No evaluation yet</span>');
+        this.displayResult('prefixEvalResult', '<span class="text-muted">No evaluation yet</span>');
+        document.getElementById('stepsContainer').innerHTML = '<span class="text-muted">Enter an expression and convert to see algorithm steps</span>';
+        this.renderVariableInputs([]);
+        this.clearDiagnostics();
+        this.player.reset();
+        this.ast = null;
+        this.conversion = null;
+        this.variables = [];
+        this.steps = [];
+        this.evaluationSteps = { postfix: [], prefix: [] };
+        this.displayTruthTable();
+        this.showSimplified(null);
+        this.showDerivative(null);
+        this.renderDiffVariables([]);
+        this.hideError();
+        
+        // Disable evaluation buttons
+        document.getElementById('evaluatePostfixBtn').disabled = true;
+        document.getElementById('evaluatePrefixBtn').disabled = true;
+        document.getElementById('simplifyBtn').disabled = true;
+        document.getElementById('differentiateBtn').disabled = true;
+        document.getElementById('copyLinkBtn').disabled = true;
+        this.exporter.setEnabled(false);
+    }
+
+    /**
+     * What the export menus work on: the converted tree and every trace in the steps panel,
+     * in the order it shows them
+     * @returns {Object|null} {ast, steps}, or null before a conversion
+     */
+    exportContent() {
+        if (!this.ast) {
+            return null;
+        }
+        return {
+            ast: this.ast,
+            steps: [
+                ...this.steps,
+                ...this.simplifySteps,
+                ...this.derivativeSteps.flat(),
+                ...this.evaluationSteps.postfix,
+                ...this.evaluationSteps.prefix
+            ]
+        };
+    }
+
+    /**
+     * The conversion shown on the page, as recorded in the history and in links
+     * @returns {Object} State for encodeState() and HistoryPanel.record()
+     */
+    currentState() {
+        return {
+            expression: this.conversion.expression,
+            mode: this.conversion.mode,
+            bindings: this.getBindings(),
+            numericMode: this.engine.numericMode,
+            logic: this.isLogicMode()
+        };
+    }
+
+    /**
+     * Reproduce a conversion from the history or a link: set the modes and input, convert, fill
+     * in the variable values and, once every variable has one, evaluate both notations
+     * @param {Object} state - State from decodeState() or a history entry
+     */
+    applyState({ expression, mode = 'infix', bindings = {}, numericMode = 'float', logic = false, operators = [] }) {
+        if (operators.length > 0) {
+            this.operatorEditor.importOperators(operators);
+        }
+        this.handleClear();
+        document.getElementById('inputMode').value = mode;
+        this.updateInputMode();
+        try {
+            this.setNumericMode(numericMode);
+        } catch (error) {
+            this.setNumericMode('float');
+        }
+        document.getElementById('numericMode').value = this.engine.numericMode;
+        document.getElementById('logicMode').checked = logic;
+        document.getElementById('expressionInput').value = expression;
+
+        this.handleConvert();
+        if (this.ast === null) {
+            return;
+        }
+        this.setBindings(bindings);
+        if (this.variables.every(name => Object.prototype.hasOwnProperty.call(bindings, name))) {
+            this.handleEvaluatePostfix();
+            this.handleEvaluatePrefix();
+        }
+    }
+
+    /**
+     * Run the conversion described by the URL hash, if there is one
+     */
+    loadFromHash() {
+        const state = decodeState(window.location.hash);
+        if (state) {
+            this.applyState(state);
+        }
+    }
+
+    /**
+     * Run a history entry again and close the sidebar
+     * @param {Object} entry - History entry
+     */
+    handleHistorySelect(entry) {
+        this.applyState(entry);
+        const sidebar = document.getElementById('historySidebar');
+        window.bootstrap?.Offcanvas.getInstance(sidebar)?.hide();
+    }
+
+    /**
+     * Open a batch row in the converter and scroll up to it
+     * @param {Object} state - Expression, notation and variable values of the row
+     */
+    handleBatchSelect(state) {
+        this.applyState({ ...state, numericMode: this.engine.numericMode, logic: this.isLogicMode() });
+        document.getElementById('expressionInput').scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Put a link to the current conversion in the address bar and on the clipboard. Custom
+     * operators the expression uses travel with the link.
+     */
+    handleCopyLink() {
+        const used = this.engine.operatorsUsed(this.ast);
+        const operators = this.engine.customOperators().filter(definition => used.has(definition.symbol));
+        const hash = encodeState({ ...this.currentState(), operators });
+        const url = `${window.location.href.split('#')[0]}${hash}`;
+        window.history.replaceState(null, '', hash);
+
+        const button = document.getElementById('copyLinkBtn');
+        const label = button.innerHTML;
+        const fallback = () => window.prompt('Copy this link:', url);
+        if (!navigator.clipboard) {
+            fallback();
+            return;
+        }
+        navigator.clipboard.writeText(url).then(() => {
+            button.innerHTML = '<i class="fas fa-check me-1"></i>Copied!';
+            setTimeout(() => { button.innerHTML = label; }, 1500);
+        }, fallback);
+    }
+
+    /**
+     * Switch the evaluators' arithmetic; results computed in the old mode are cleared
+     * @param {string} mode - 'float', 'rational' or 'bigint'
+     */
+    setNumericMode(mode) {
+        this.engine.setNumericMode(mode);
+        this.displayResult('postfixEvalResult', '<span class="text-muted">No evaluation yet</span>');
+        this.displayResult('prefixEvalResult', '<span class="text-muted">No evaluation yet</span>');
+    }
+
+    /**
+     * Format an evaluation result; fractions also show their mixed-number form and a decimal approximation
+     * @param {number|Rational|bigint} value - Result from the engine
+     * @returns {string} HTML
+     */
+    formatResult(value) {
+        const text = escapeHtml(this.engine.formatNumber(value));
+        if (!(value instanceof Rational) || value.isInteger()) {
+            return text;
+        }
+        const mixed = value.toMixedString();
+        const approximation = Number(value.toNumber().toPrecision(10));
+        return `${text} <span class="text-muted">(${mixed !== value.toString() ? `${escapeHtml(mixed)}, ` : ''}≈ ${approximation})</span>`;
+    }
+
+    /**
+     * Whether logic mode is on: a truth table is shown under the results
+     * @returns {boolean} True in logic mode
+     */
+    isLogicMode() {
+        return document.getElementById('logicMode').checked;
+    }
+
+    /**
+     * Render one value input per variable, keeping values entered for variables that remain.
+     * Operands of logic operators get a true/false choice, all other variables a number input.
+     * @param {Array<string>} variables - Variable names in order of appearance
+     */
+    renderVariableInputs(variables) {
+        const container = document.getElementById('variablesContainer');
+        const previous = this.getBindings();
+        const kinds = this.ast ? this.engine.variableKinds(this.ast) : {};
+
+        container.innerHTML = variables.map(name => `
+            <div class="col-6 col-md-3">
+                <div class="input-group input-group-sm">
+                    <span class="input-group-text">${name} =</span>
+                    ${kinds[name] === 'boolean'
+                        ? `<select class="form-select" data-variable="${name}" aria-label="Value of ${name}">
+                               <option value="false">false</option>
+                               <option value="true"${previous[name] === true ? ' selected' : ''}>true</option>
+                           </select>`
+                        : `<input type="number" step="any" class="form-control" data-variable="${name}"
+                                  value="${typeof previous[name] === 'number' ? previous[name] : ''}" aria-label="Value of ${name}">`}
+                </div>
+            </div>`).join('');
+
+        document.getElementById('variablesSection').classList.toggle('d-none', variables.length === 0);
+    }
+
+    /**
+     * Read variable values from the generated inputs; blank inputs are left unbound
+     * @returns {Object<string, number|boolean>} Variable bindings
+     */
+    getBindings() {
+        const bindings = {};
+        document.querySelectorAll('#variablesContainer [data-variable]').forEach(input => {
+            if (input.tagName === 'SELECT') {
+                bindings[input.dataset.variable] = input.value === 'true';
+            } else if (input.value.trim() !== '') {
+                bindings[input.dataset.variable] = Number(input.value);
+            }
+        });
+        return bindings;
+    }
+
+    /**
+     * Fill in the generated variable inputs
+     * @param {Object<string, number|boolean>} bindings - Variable values; others are left as they are
+     */
+    setBindings(bindings) {
+        document.querySelectorAll('#variablesContainer [data-variable]').forEach(input => {
+            if (Object.prototype.hasOwnProperty.call(bindings, input.dataset.variable)) {
+                input.value = String(bindings[input.dataset.variable]);
+            }
+        });
+    }
+
+    /**
+     * Get trimmed input value (inner whitespace is left for the tokenizer)
+     * @returns {string} Trimmed input value
+     */
+    getInputValue() {
+        return document.getElementById('expressionInput').value.trim();
+    }
+
+    /**
+     * Display result in specified element
+     * @param {string} elementId - ID of target element
+     * @param {string} content - Content to display
+     * @param {boolean} isEvaluation - Whether this is an evaluation result
+     */
+    displayResult(elementId, content, isEvaluation = false) {
+        const element = document.getElementById(elementId);
+        element.innerHTML = content;
+        
+        // Add visual feedback
+        element.classList.remove('has-content');
+        if (content && !content.includes('No conversion yet') && !content.includes('No evaluation yet')) {
+            element.classList.add('has-content', 'fade-in');
+            
+            if (isEvaluation) {
+                element.classList.add('pulse');
+                setTimeout(() => element.classList.remove('pulse'), 500);
+            }
+        }
+    }
+
+    /**
+     * In logic mode, tabulate the converted expression over every true/false combination of its
+     * boolean variables and comparisons; otherwise hide the table
+     */
+    displayTruthTable() {
+        const section = document.getElementById('truthTableSection');
+        const table = document.getElementById('truthTable');
+        const show = this.isLogicMode() && this.ast !== null && this.variables.length > 0;
+        section.classList.toggle('d-none', !show);
+        if (!show) {
+            return;
+        }
+
+        try {
+            const { variables, rows } = this.engine.truthTable(this.engine.toPostfix(this.ast));
+            const cell = (value, extra = '') =>
+                `<td class="truth-${value}${extra}">${value ? 'T' : 'F'}</td>`;
+            table.innerHTML = `
+                <table class="table table-sm table-bordered truth-table text-center mb-0">
+                    <thead><tr>${variables.map(name => `<th>${escapeHtml(name)}</th>`).join('')}
+                        <th class="truth-result">${escapeHtml(this.engine.toInfix(this.ast, 'minimal'))}</th></tr></thead>
+                    <tbody>${rows.map(row => `<tr>${variables.map(name => cell(row.values[name])).join('')}${cell(row.result, ' truth-result')}</tr>`).join('')}</tbody>
+                </table>`;
+        } catch (error) {
+            table.innerHTML = `<span class="text-muted">No truth table: ${escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    /**
+     * Draw the expression tree; hovering a node highlights the input text it came from
+     * @param {Object} ast - Root node from the engine
+     * @param {string} source - Text the tree was parsed from, in whichever notation was entered
+     */
+    displayTree(ast, source) {
+        const treeContainer = document.getElementById('expressionTree');
+        const sourceElement = document.getElementById('treeSource');
+        const showSource = (start = null, end = null) => {
+            sourceElement.innerHTML = start === null
+                ? escapeHtml(source)
+                : escapeHtml(source.slice(0, start)) +
+                  `<mark>${escapeHtml(source.slice(start, end))}</mark>` +
+                  escapeHtml(source.slice(end));
+        };
+
+        treeContainer.innerHTML = renderTreeSvg(ast);
+        treeContainer.classList.add('fade-in');
+        showSource();
+
+        treeContainer.querySelectorAll('.tree-node').forEach(node => {
+            node.addEventListener('mouseenter', () => {
+                node.classList.add('active');
+                showSource(Number(node.dataset.start), Number(node.dataset.end));
+            });
+            node.addEventListener('mouseleave', () => {
+                node.classList.remove('active');
+                showSource();
+            });
+        });
+    }
+
+    /**
+     * Display algorithm steps
+     */
+    displaySteps() {
+        const stepsContainer = document.getElementById('stepsContainer');
+        let stepsHtml = this.renderStepList(this.steps) +
+            this.renderStepList(this.simplifySteps) +
+            this.derivativeSteps.map(trace => this.renderStepList(trace)).join('');
+
+        // Evaluation traces sit side by side so the two stack machines can be compared
+        const { postfix, prefix } = this.evaluationSteps;
+        if (postfix.length > 0 || prefix.length > 0) {
+            const column = (trace, label) => `
+                <div class="col-lg-6">
+                    ${trace.length > 0 ? this.renderStepList(trace) : `<div class="fw-bold mt-3 mb-2">${label}</div><span class="text-muted">Not evaluated yet</span>`}
+                </div>`;
+            stepsHtml += `<div class="row g-3 evaluation-steps">${column(postfix, 'Evaluating Postfix:')}${column(prefix, 'Evaluating Prefix:')}</div>`;
+        }
+        
+        stepsContainer.innerHTML = stepsHtml;
+        stepsContainer.classList.add('fade-in');
+    }
+
+    /**
+     * Render step records as a numbered list with headings
+     * @param {Array<Object>} steps - Step records from the engine
+     * @returns {string} HTML
+     */
+    renderStepList(steps) {
+        return steps.map((step, index) => {
+            if (step.kind === 'heading') {
+                return `<div class="fw-bold mt-3 mb-2">${escapeHtml(step.text)}</div>`;
+            }
+            return `<div class="step-item">${index}. ${escapeHtml(step.text)}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Show problems found in the input: the text with each problem underlined, a caret under
+     * where each one starts, and the messages. They stay until the input is edited.
+     * @param {string} source - Input text
+     * @param {Array<ExpressionError>} errors - Problems with their source ranges
+     */
+    showDiagnostics(source, errors) {
+        const width = Math.max(source.length, ...errors.map(error => error.end));
+        const underlined = new Array(width).fill(false);
+        const carets = new Array(width).fill(' ');
+        for (const { start, end } of errors) {
+            for (let i = start; i < end; i++) {
+                underlined[i] = true;
+                if (carets[i] === ' ') {
+                    carets[i] = '~';
+                }
+            }
+            carets[start] = '^';
+        }
+
+        // Wrap each run of underlined characters in one span
+        let sourceHtml = '';
+        for (let i = 0; i < source.length; i++) {
+            if (underlined[i] && !underlined[i - 1]) {
+                sourceHtml += '<span class="diagnostic-range">';
+            }
+            sourceHtml += escapeHtml(source[i]);
+            if (underlined[i] && !underlined[i + 1]) {
+                sourceHtml += '</span>';
+            }
+        }
+        if (underlined[source.length - 1] && source.length < width) {
+            sourceHtml += '</span>';
+        }
+
+        const container = document.getElementById('inputDiagnostics');
+        container.innerHTML = `
+            <pre class="diagnostic-source">${sourceHtml}</pre>
+            <pre class="diagnostic-carets">${carets.join('').trimEnd()}</pre>
+            <ol class="diagnostic-list">${errors.map(error => `<li>${escapeHtml(error.message)}</li>`).join('')}</ol>`;
+        container.classList.remove('d-none');
+        document.getElementById('expressionInput').classList.add('is-invalid');
+    }
+
+    /**
+     * Remove the input diagnostics
+     */
+    clearDiagnostics() {
+        document.getElementById('inputDiagnostics').classList.add('d-none');
+        document.getElementById('expressionInput').classList.remove('is-invalid');
+    }
+
+    /**
+     * Show error message
+     * @param {string} message - Error message to display
+     */
+    showError(message) {
+        const errorContainer = document.getElementById('errorContainer');
+        const errorMessage = document.getElementById('errorMessage');
+        
+        errorMessage.textContent = message;
+        errorContainer.classList.remove('d-none');
+        errorContainer.classList.add('fade-in');
+        
+        // Auto-hide error after 5 seconds
+        setTimeout(() => this.hideError(), 5000);
+    }
+
+    /**
+     * Hide error message
+     */
+    hideError() {
+        const errorContainer = document.getElementById('errorContainer');
+        errorContainer.classList.add('d-none');
+        errorContainer.classList.remove('fade-in');
+    }
+}
+
+// Initialize the application when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    const app = new ExpressionConverter();
+    console.log('Expression Converter & Evaluator initialized successfully');
+});
+
+// Sample expressions, loaded into the batch panel by its "Load samples" button
+const sampleExpressions = [
+    '(2 + 3) * 4',
+    '10 + 2 * 6',
+    '100 * 2 + 12',
+    '(1 + 2) * (3 + 4)',
+    '2 + 3 * 4 - 5',
+    '(a + b) * c ; a = 1, b = 2, c = 3',
+    'x + y * z ; x = 2, y = 3, z = 4',
+    '(p + q) / (r - s) ; p = 6, q = 4, r = 7, s = 2',
+    'a * b + c * d ; a = 1, b = 2, c = 3, d = 4'
+];
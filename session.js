@@ -0,0 +1,246 @@
+/**
+ * Session
+ * Keeps a searchable history of past conversions in localStorage and encodes a conversion
+ * (expression, input mode, variable values) in a URL hash so that a link reproduces it.
+ * Loaded as a plain <script> (after markup.js) it exposes `window.ExprSession`.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.ExprSession = factory(root.ExprMarkup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (markup) {
+    'use strict';
+
+    const { escapeHtml } = markup;
+
+    const STORAGE_KEY = 'conversionHistory';
+
+    // Oldest entries are dropped beyond this many
+    const MAX_ENTRIES = 50;
+
+    const INPUT_MODES = ['infix', 'postfix', 'prefix'];
+
+    // Hash parameters carrying variable values are named 'var.<name>'
+    const VARIABLE_PREFIX = 'var.';
+
+    /**
+     * Encode the state of a conversion as a URL hash, e.g.
+     * '#expr=(a%2Bb)*c&mode=infix&var.a=1&var.b=2&var.c=3'
+     * @param {Object} state - Conversion state
+     * @param {string} state.expression - Expression text
+     * @param {string} state.mode - Input notation: 'infix', 'postfix' or 'prefix'
+     * @param {Object<string, number|boolean>} state.bindings - Variable values
+     * @param {string} state.numericMode - Arithmetic mode; omitted from the hash when 'float'
+     * @param {boolean} state.logic - Logic mode; omitted from the hash when off
+     * @param {Array<Object>} state.operators - Custom operator definitions the expression may need
+     * @returns {string} Hash, starting with '#'
+     */
+    function encodeState({ expression, mode = 'infix', bindings = {}, numericMode = 'float', logic = false, operators = [] }) {
+        const params = new URLSearchParams();
+        params.set('expr', expression);
+        params.set('mode', mode);
+        for (const [name, value] of Object.entries(bindings)) {
+            params.set(VARIABLE_PREFIX + name, String(value));
+        }
+        if (numericMode !== 'float') {
+            params.set('numeric', numericMode);
+        }
+        if (logic) {
+            params.set('logic', '1');
+        }
+        if (operators.length > 0) {
+            params.set('operators', JSON.stringify(operators));
+        }
+        return `#${params.toString()}`;
+    }
+
+    /**
+     * Read a conversion state back from a URL hash written by encodeState()
+     * @param {string} hash - URL hash, with or without the leading '#'
+     * @returns {Object|null} State as accepted by encodeState(), or null if the hash has no expression
+     */
+    function decodeState(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const expression = params.get('expr');
+        if (!expression) {
+            return null;
+        }
+
+        const bindings = {};
+        for (const [key, text] of params) {
+            if (!key.startsWith(VARIABLE_PREFIX)) {
+                continue;
+            }
+            const value = text === 'true' || text === 'false' ? text === 'true' : Number(text);
+            if (typeof value === 'boolean' || (text.trim() !== '' && !Number.isNaN(value))) {
+                bindings[key.slice(VARIABLE_PREFIX.length)] = value;
+            }
+        }
+
+        let operators = [];
+        try {
+            operators = JSON.parse(params.get('operators') || '[]');
+        } catch (error) {
+            operators = [];
+        }
+
+        return {
+            expression,
+            mode: INPUT_MODES.includes(params.get('mode')) ? params.get('mode') : 'infix',
+            bindings,
+            numericMode: params.get('numeric') || 'float',
+            logic: params.get('logic') === '1',
+            operators: Array.isArray(operators) ? operators : []
+        };
+    }
+
+    class HistoryPanel {
+        /**
+         * @param {Function} onSelect - Called with an entry when the user picks it to run again
+         */
+        constructor(onSelect) {
+            this.onSelect = onSelect;
+            this.entries = this.load();
+            this.initializeControls();
+            this.render();
+        }
+
+        /**
+         * Read the stored history
+         * @returns {Array<Object>} Entries, newest first
+         */
+        load() {
+            try {
+                const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+                return Array.isArray(entries) ? entries : [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        /**
+         * Store the history
+         */
+        save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+        }
+
+        /**
+         * Initialize event listeners for the search box and the entry list
+         */
+        initializeControls() {
+            document.getElementById('historySearch').addEventListener('input', () => this.render());
+            document.getElementById('historyClearBtn').addEventListener('click', () => this.clear());
+            document.getElementById('historyList').addEventListener('click', (e) => {
+                const item = e.target.closest('[data-history-index]');
+                if (!item) {
+                    return;
+                }
+                const entry = this.entries[Number(item.dataset.historyIndex)];
+                if (e.target.closest('[data-history-remove]')) {
+                    this.remove(entry);
+                } else {
+                    this.onSelect(entry);
+                }
+            });
+            document.getElementById('historyList').addEventListener('keydown', (e) => {
+                const item = e.target.closest('[data-history-index]');
+                if (item && e.target === item && e.key === 'Enter') {
+                    this.onSelect(this.entries[Number(item.dataset.historyIndex)]);
+                }
+            });
+        }
+
+        /**
+         * Move a conversion to the top of the history. There is one entry per expression and input
+         * mode; recording it again updates the entry, keeping its results unless the variable
+         * values or modes changed.
+         * @param {Object} entry - State as for encodeState(), plus `postfix`, `prefix`, `infix` and
+         *                         `results` ({postfix, prefix} result text) where known
+         */
+        record(entry) {
+            const previous = this.entries.find(other => other.expression === entry.expression && other.mode === entry.mode);
+            const sameValues = previous && previous.numericMode === entry.numericMode && previous.logic === entry.logic &&
+                JSON.stringify(previous.bindings) === JSON.stringify(entry.bindings);
+            const results = { ...(sameValues ? previous.results : {}), ...entry.results };
+            const updated = { ...previous, ...entry, results, time: Date.now() };
+
+            this.entries = [updated, ...this.entries.filter(other => other !== previous)].slice(0, MAX_ENTRIES);
+            this.save();
+            this.render();
+        }
+
+        /**
+         * Forget one entry
+         * @param {Object} entry - Entry to remove
+         */
+        remove(entry) {
+            this.entries = this.entries.filter(other => other !== entry);
+            this.save();
+            this.render();
+        }
+
+        /**
+         * Forget all entries
+         */
+        clear() {
+            this.entries = [];
+            this.save();
+            this.render();
+        }
+
+        /**
+         * Entries whose expression, conversions or results contain the search text
+         * @param {string} query - Search text; blank matches everything
+         * @returns {Array<Object>} Matching entries, newest first
+         */
+        search(query) {
+            const needle = query.trim().toLowerCase();
+            if (!needle) {
+                return this.entries;
+            }
+            return this.entries.filter(entry =>
+                [entry.expression, entry.postfix, entry.prefix, entry.infix, ...Object.values(entry.results || {})]
+                    .some(text => text !== undefined && String(text).toLowerCase().includes(needle)));
+        }
+
+        /**
+         * Draw the entries matching the search box
+         */
+        render() {
+            const list = document.getElementById('historyList');
+            const matches = this.search(document.getElementById('historySearch').value);
+            if (matches.length === 0) {
+                list.innerHTML = `<div class="text-muted small">${this.entries.length === 0 ? 'No conversions yet' : 'No matching conversions'}</div>`;
+                return;
+            }
+
+            list.innerHTML = matches.map(entry => {
+                const results = entry.results || {};
+                const values = Object.entries(entry.bindings || {}).map(([name, value]) => `${name} = ${value}`).join(', ');
+                const line = (label, text) => text === undefined ? ''
+                    : `<div class="history-detail"><span class="text-muted">${label}:</span> ${escapeHtml(text)}</div>`;
+                return `
+                    <div class="history-entry" data-history-index="${this.entries.indexOf(entry)}" role="button" tabindex="0" title="Run again">
+                        <div class="d-flex justify-content-between align-items-start gap-2">
+                            <code class="history-expression">${escapeHtml(entry.expression)}</code>
+                            <button type="button" class="btn btn-sm btn-link text-muted p-0" data-history-remove title="Remove from history">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </div>
+                        <div class="small text-muted">${escapeHtml(entry.mode)}${entry.numericMode && entry.numericMode !== 'float' ? `, ${escapeHtml(entry.numericMode)}` : ''} · ${new Date(entry.time).toLocaleString()}</div>
+                        ${line('Postfix', entry.postfix)}
+                        ${line('Prefix', entry.prefix)}
+                        ${line('Values', values || undefined)}
+                        ${line('Postfix result', results.postfix)}
+                        ${line('Prefix result', results.prefix)}
+                    </div>`;
+            }).join('');
+        }
+    }
+
+    return { HistoryPanel, encodeState, decodeState };
+});
@@ -0,0 +1,449 @@
+/**
+ * Expression Simplifier
+ * Rewrites a syntax tree from engine.js: folds constant subexpressions, applies algebraic
+ * identities and combines like terms, recording each rule that fires.
+ * Loaded as a plain <script> it exposes `window.ExprSimplifier`; under Node it is a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ExprSimplifier = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // A node is rewritten at most this many times, as a guard against rules undoing each other
+    const MAX_REWRITES = 50;
+
+    class Simplifier {
+        /**
+         * @param {Object} engine - ExpressionEngine supplying the notation writers and the
+         *                          arithmetic of the current numeric mode
+         */
+        constructor(engine) {
+            this.engine = engine;
+        }
+
+        /**
+         * Simplify a syntax tree. The input tree is not modified; untouched subtrees are shared.
+         * @param {Object} ast - Root node
+         * @param {Array|null} trace - Optional array that receives one record per rule applied
+         * @returns {Object} Simplified root node
+         */
+        simplify(ast, trace = null) {
+            const record = (kind, text, details = {}) => {
+                if (trace) {
+                    trace.push({ kind, text, phase: 'simplify', ...details });
+                }
+            };
+            record('heading', 'Simplifying:');
+            let fired = 0;
+
+            const visit = (node) => {
+                let current = this.mapChildren(node, visit);
+                for (let i = 0; i < MAX_REWRITES; i++) {
+                    const rewrite = this.rewrite(current);
+                    if (!rewrite) {
+                        break;
+                    }
+                    fired++;
+                    const before = this.engine.toInfix(current, 'minimal');
+                    const after = this.engine.toInfix(rewrite.node, 'minimal');
+                    record('step', `${rewrite.rule}: ${before} → ${after}`, { rule: rewrite.rule, before, after });
+                    // The rewritten node may contain new subtrees (coefficients, folded constants)
+                    current = this.mapChildren(rewrite.node, visit);
+                }
+                return current;
+            };
+
+            const result = visit(ast);
+            record('heading', fired > 0
+                ? `Simplified: ${this.engine.toInfix(result, 'minimal')}`
+                : 'No simplification rules apply');
+            return result;
+        }
+
+        /**
+         * Rebuild a node with each child replaced, keeping the node itself if nothing changed
+         * @param {Object} node - Syntax tree node
+         * @param {Function} fn - Child => replacement
+         * @returns {Object} Node
+         */
+        mapChildren(node, fn) {
+            switch (node.type) {
+                case 'unary': {
+                    const operand = fn(node.operand);
+                    return operand === node.operand ? node : { ...node, operand };
+                }
+                case 'binary': {
+                    const left = fn(node.left);
+                    const right = fn(node.right);
+                    return left === node.left && right === node.right ? node : { ...node, left, right };
+                }
+                case 'call': {
+                    const args = node.args.map(fn);
+                    return args.every((arg, i) => arg === node.args[i]) ? node : { ...node, args };
+                }
+                default:
+                    return node;
+            }
+        }
+
+        /**
+         * Try each rule on a node whose children are already simplified. A rule only counts
+         * if it changes the expression, so rules that rebuild the same text never loop.
+         * @param {Object} node - Syntax tree node
+         * @returns {{rule: string, node: Object}|null} First rule that applies, or null
+         */
+        rewrite(node) {
+            const candidates = [
+                () => this.foldConstant(node),
+                () => this.applyIdentity(node),
+                () => this.combineConstantFactors(node),
+                () => this.combineLikeTerms(node)
+            ];
+            for (const candidate of candidates) {
+                const rewrite = candidate();
+                if (rewrite && this.key(rewrite.node) !== this.key(node)) {
+                    return rewrite;
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Replace an operator or call whose operands are all constants by its value. In float
+         * mode untidy results are not folded, so 1/3 and log(2) stay symbolic instead of turning
+         * into 0.3333333333333333 and 0.6931471805599453.
+         * @param {Object} node - Syntax tree node
+         * @returns {{rule: string, node: Object}|null} Rewrite
+         */
+        foldConstant(node) {
+            if (node.type === 'number' || node.type === 'variable') {
+                return null;
+            }
+            const value = this.constantValue(node);
+            const folded = value === null || !this.isTidy(value) ? null : this.valueToNode(value, node);
+            return folded ? { rule: 'Fold constants', node: folded } : null;
+        }
+
+        /**
+         * Apply an algebraic identity such as x * 1 = x or x - x = 0
+         * @param {Object} node - Syntax tree node
+         * @returns {{rule: string, node: Object}|null} Rewrite
+         */
+        applyIdentity(node) {
+            if (node.type === 'unary' && node.operator === '~' && node.operand.type === 'unary' && node.operand.operator === '~') {
+                return { rule: '-(-x) = x', node: node.operand.operand };
+            }
+            if (node.type !== 'binary') {
+                return null;
+            }
+
+            const { left, right } = node;
+            const is = (child, text) => {
+                const value = this.constantValue(child);
+                return value !== null && this.engine.formatNumber(value) === text;
+            };
+            const constant = (text) => this.makeNumber(text, node);
+
+            switch (node.operator) {
+                case '+':
+                    if (is(right, '0')) {
+                        return { rule: 'x + 0 = x', node: left };
+                    }
+                    if (is(left, '0')) {
+                        return { rule: '0 + x = x', node: right };
+                    }
+                    break;
+                case '-':
+                    if (this.key(left) === this.key(right)) {
+                        return { rule: 'x - x = 0', node: constant('0') };
+                    }
+                    if (is(right, '0')) {
+                        return { rule: 'x - 0 = x', node: left };
+                    }
+                    if (is(left, '0')) {
+                        return { rule: '0 - x = -x', node: this.negate(right, node) };
+                    }
+                    break;
+                case '*':
+                    if (is(left, '0') || is(right, '0')) {
+                        return { rule: is(left, '0') ? '0 * x = 0' : 'x * 0 = 0', node: constant('0') };
+                    }
+                    if (is(right, '1')) {
+                        return { rule: 'x * 1 = x', node: left };
+                    }
+                    if (is(left, '1')) {
+                        return { rule: '1 * x = x', node: right };
+                    }
+                    break;
+                case '/':
+                    if (is(right, '1')) {
+                        return { rule: 'x / 1 = x', node: left };
+                    }
+                    if (this.key(left) === this.key(right) && this.constantValue(left) === null) {
+                        return { rule: 'x / x = 1', node: constant('1') };
+                    }
+                    break;
+                case '^':
+                    if (is(right, '1')) {
+                        return { rule: 'x ^ 1 = x', node: left };
+                    }
+                    if (is(right, '0')) {
+                        return { rule: 'x ^ 0 = 1', node: constant('1') };
+                    }
+                    if (is(left, '1')) {
+                        return { rule: '1 ^ x = 1', node: constant('1') };
+                    }
+                    break;
+            }
+            return null;
+        }
+
+        /**
+         * Multiply constant factors together: 3 * (2 * x) = 6 * x
+         * @param {Object} node - Syntax tree node
+         * @returns {{rule: string, node: Object}|null} Rewrite
+         */
+        combineConstantFactors(node) {
+            if (node.type !== 'binary' || node.operator !== '*') {
+                return null;
+            }
+            const outer = this.splitTerm(node.left).base === null ? node.left : node.right;
+            const inner = outer === node.left ? node.right : node.left;
+            if (this.constantValue(outer) === null || inner.type !== 'binary' || inner.operator !== '*') {
+                return null;
+            }
+            const { coefficient, base } = this.splitTerm(inner);
+            if (base === inner) {
+                return null;
+            }
+            const product = this.engine.performOperation(this.constantValue(outer), coefficient, '*');
+            const factor = this.valueToNode(product, node);
+            return factor && {
+                rule: 'Multiply constant factors',
+                node: { type: 'binary', operator: '*', left: factor, right: base, start: node.start, end: node.end }
+            };
+        }
+
+        /**
+         * Combine terms of a sum that share the same non-constant part, e.g. 2*a + 3*a = 5*a,
+         * and gather the constant terms into one. Only fires if the number of terms drops.
+         * @param {Object} node - Syntax tree node
+         * @returns {{rule: string, node: Object}|null} Rewrite
+         */
+        combineLikeTerms(node) {
+            if (node.type !== 'binary' || (node.operator !== '+' && node.operator !== '-')) {
+                return null;
+            }
+
+            const arithmetic = this.engine.arithmetic();
+            const terms = [];
+            this.collectTerms(node, arithmetic.fromLiteral('1'), terms);
+
+            // Merge in order of first appearance; constants collect under the key null
+            const merged = new Map();
+            for (const term of terms) {
+                const key = term.base ? this.key(term.base) : null;
+                const existing = merged.get(key);
+                if (existing) {
+                    existing.coefficient = this.engine.performOperation(existing.coefficient, term.coefficient, '+');
+                } else {
+                    merged.set(key, { ...term });
+                }
+            }
+            const combined = [...merged.values()].filter(term => this.engine.formatNumber(term.coefficient) !== '0');
+            if (combined.length === terms.length || !combined.every(term => this.isTidy(term.coefficient))) {
+                return null;
+            }
+
+            // Rebuild as a left-to-right chain, subtracting terms with negative coefficients
+            let result = null;
+            for (const term of combined) {
+                const negative = this.isNegative(term.coefficient);
+                const magnitude = negative ? arithmetic.negate(term.coefficient) : term.coefficient;
+                const termNode = this.termNode(magnitude, term.base, node);
+                if (!termNode) {
+                    return null;
+                }
+                if (result === null) {
+                    result = negative ? this.negate(termNode, node) : termNode;
+                } else {
+                    result = { type: 'binary', operator: negative ? '-' : '+', left: result, right: termNode, start: node.start, end: node.end };
+                }
+            }
+            return { rule: 'Combine like terms', node: result || this.makeNumber('0', node) };
+        }
+
+        /**
+         * Flatten a sum into signed terms of the form coefficient * base (base null for a constant)
+         * @param {Object} node - Syntax tree node
+         * @param {*} sign - 1 or -1 in the current numeric mode
+         * @param {Array<Object>} terms - Receives {coefficient, base}
+         */
+        collectTerms(node, sign, terms) {
+            const arithmetic = this.engine.arithmetic();
+            if (node.type === 'binary' && (node.operator === '+' || node.operator === '-')) {
+                this.collectTerms(node.left, sign, terms);
+                this.collectTerms(node.right, node.operator === '-' ? arithmetic.negate(sign) : sign, terms);
+                return;
+            }
+            if (node.type === 'unary' && node.operator === '~') {
+                this.collectTerms(node.operand, arithmetic.negate(sign), terms);
+                return;
+            }
+
+            const { coefficient, base } = this.splitTerm(node);
+            terms.push({ coefficient: this.engine.performOperation(sign, coefficient, '*'), base });
+        }
+
+        /**
+         * Split a term into its constant coefficient and the rest: 3 * a gives (3, a), a gives (1, a)
+         * @param {Object} node - Syntax tree node
+         * @returns {{coefficient: *, base: Object|null}} Parts
+         */
+        splitTerm(node) {
+            const value = this.constantValue(node);
+            if (value !== null) {
+                return { coefficient: value, base: null };
+            }
+            if (node.type === 'binary' && node.operator === '*') {
+                const leftValue = this.constantValue(node.left);
+                if (leftValue !== null) {
+                    return { coefficient: leftValue, base: node.right };
+                }
+                const rightValue = this.constantValue(node.right);
+                if (rightValue !== null) {
+                    return { coefficient: rightValue, base: node.left };
+                }
+            }
+            return { coefficient: this.engine.arithmetic().fromLiteral('1'), base: node };
+        }
+
+        /**
+         * Node for a term with a non-negative coefficient
+         * @param {*} coefficient - Coefficient
+         * @param {Object|null} base - Non-constant part, or null for a constant term
+         * @param {Object} origin - Node whose source range new nodes take
+         * @returns {Object|null} Node, or null if the coefficient cannot be written as a literal
+         */
+        termNode(coefficient, base, origin) {
+            if (!base) {
+                return this.valueToNode(coefficient, origin);
+            }
+            if (this.engine.formatNumber(coefficient) === '1') {
+                return base;
+            }
+            const coefficientNode = this.valueToNode(coefficient, origin);
+            return coefficientNode && { type: 'binary', operator: '*', left: coefficientNode, right: base, start: origin.start, end: origin.end };
+        }
+
+        /**
+         * Value of a subtree built only from numbers, or null if it has variables or cannot be
+         * computed (division by zero, a function with no exact result in an exact mode, ...)
+         * @param {Object} node - Syntax tree node
+         * @returns {*} Value in the current numeric mode, or null
+         */
+        constantValue(node) {
+            try {
+                switch (node.type) {
+                    case 'number':
+                        return this.engine.arithmetic().fromLiteral(node.value);
+                    case 'variable':
+                        return this.engine.isConstant(node.name) ? this.engine.constants[node.name] : null;
+                    case 'unary': {
+                        const operand = this.constantValue(node.operand);
+                        return operand === null ? null : this.engine.performUnaryOperation(operand, node.operator);
+                    }
+                    case 'binary': {
+                        const left = this.constantValue(node.left);
+                        const right = left === null ? null : this.constantValue(node.right);
+                        return right === null ? null : this.engine.performOperation(left, right, node.operator);
+                    }
+                    case 'call': {
+                        const args = node.args.map(arg => this.constantValue(arg));
+                        return args.includes(null) ? null : this.engine.performFunction(node.name, args);
+                    }
+                    default:
+                        return null;
+                }
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Write a value as a subtree: a literal, a negated literal, n / d for a fraction, or the
+         * constant true/false
+         * @param {*} value - Value in the current numeric mode
+         * @param {Object} origin - Node whose source range new nodes take
+         * @returns {Object|null} Node, or null for values with no literal form (NaN, Infinity)
+         */
+        valueToNode(value, origin) {
+            if (typeof value === 'boolean') {
+                return { type: 'variable', name: String(value), start: origin.start, end: origin.end };
+            }
+            const text = this.engine.formatNumber(value);
+            const match = /^(-?)(\d+(?:\.\d+)?(?:e[+-]?\d+)?)(?:\/(\d+))?$/.exec(text);
+            if (!match) {
+                return null;
+            }
+            const [, sign, numerator, denominator] = match;
+            let node = this.makeNumber(numerator, origin);
+            if (denominator) {
+                node = { type: 'binary', operator: '/', left: node, right: this.makeNumber(denominator, origin), start: origin.start, end: origin.end };
+            }
+            return sign ? this.negate(node, origin) : node;
+        }
+
+        /**
+         * @param {string} value - Literal text
+         * @param {Object} origin - Node whose source range the literal takes
+         * @returns {Object} Number node
+         */
+        makeNumber(value, origin) {
+            return { type: 'number', value, start: origin.start, end: origin.end };
+        }
+
+        /**
+         * @param {Object} node - Node to negate
+         * @param {Object} origin - Node whose source range the negation takes
+         * @returns {Object} Unary node
+         */
+        negate(node, origin) {
+            return { type: 'unary', operator: '~', operand: node, start: origin.start, end: origin.end };
+        }
+
+        /**
+         * Whether a computed value is worth writing into the expression: always in the exact
+         * modes, and in float mode only if it is exact to 12 significant digits
+         * @param {*} value - Value in the current numeric mode
+         * @returns {boolean} True if the value can replace the expression it came from
+         */
+        isTidy(value) {
+            return typeof value !== 'number' || Number(value.toPrecision(12)) === value;
+        }
+
+        /**
+         * @param {*} value - Value in the current numeric mode
+         * @returns {boolean} True if below zero
+         */
+        isNegative(value) {
+            return this.engine.formatNumber(value).startsWith('-');
+        }
+
+        /**
+         * Structural identity of a subtree, used to recognise like terms and x - x
+         * @param {Object} node - Syntax tree node
+         * @returns {string} Key
+         */
+        key(node) {
+            return this.engine.toPostfix(node);
+        }
+    }
+
+    return { Simplifier };
+});
@@ -0,0 +1,251 @@
+/**
+ * Step Player
+ * Plays back structured step records from engine.js one at a time, showing the input cursor,
+ * the stack and the output queue after each step.
+ * Loaded as a plain <script> (after markup.js) it exposes `window.ExprStepPlayer`.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.ExprStepPlayer = factory(root.ExprMarkup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (markup) {
+    'use strict';
+
+    const { escapeHtml } = markup;
+
+    const PHASE_LABELS = {
+        'postfix': 'Infix → Postfix',
+        'prefix': 'Infix → Prefix (reversed pass)',
+        'postfix-to-infix': 'Postfix → Infix',
+        'prefix-to-infix': 'Prefix → Infix',
+        'evaluate-postfix': 'Evaluate Postfix',
+        'evaluate-prefix': 'Evaluate Prefix'
+    };
+
+    // Phases whose stack holds operands and which have no output queue
+    const OPERAND_PHASES = ['postfix-to-infix', 'prefix-to-infix', 'evaluate-postfix', 'evaluate-prefix'];
+
+    // Phases that scan their source right to left
+    const RIGHT_TO_LEFT_PHASES = ['prefix-to-infix', 'evaluate-prefix'];
+
+    // Delay between steps in milliseconds, indexed by the speed slider (1 = slowest)
+    const SPEED_DELAYS = [2000, 1400, 900, 500, 250];
+
+    class StepPlayer {
+        constructor() {
+            this.traces = {};
+            this.phase = null;
+            this.index = 0;
+            this.timer = null;
+            this.initializeControls();
+        }
+
+        /**
+         * Initialize event listeners for the player controls
+         */
+        initializeControls() {
+            document.getElementById('playerPhase').addEventListener('change', (e) => this.setPhase(e.target.value));
+            document.getElementById('playerFirst').addEventListener('click', () => this.goTo(0));
+            document.getElementById('playerPrev').addEventListener('click', () => this.previous());
+            document.getElementById('playerPlay').addEventListener('click', () => this.togglePlay());
+            document.getElementById('playerNext').addEventListener('click', () => this.next());
+            document.getElementById('playerSpeed').addEventListener('input', () => {
+                if (this.timer) {
+                    this.pause();
+                    this.play();
+                }
+            });
+        }
+
+        /**
+         * Forget all traces and hide the player
+         */
+        reset() {
+            this.pause();
+            this.traces = {};
+            this.phase = null;
+            document.getElementById('stepPlayer').classList.add('d-none');
+        }
+
+        /**
+         * Load step records, grouped by phase; phases present in `steps` replace earlier ones
+         * @param {Array<Object>} steps - Step records from the engine
+         * @param {string|null} showPhase - Phase to select afterwards (defaults to the current one)
+         */
+        load(steps, showPhase = null) {
+            const byPhase = {};
+            for (const step of steps) {
+                if (step.kind === 'step' && step.phase) {
+                    (byPhase[step.phase] = byPhase[step.phase] || []).push(step);
+                }
+            }
+            Object.assign(this.traces, byPhase);
+
+            const phaseSelect = document.getElementById('playerPhase');
+            phaseSelect.innerHTML = Object.keys(PHASE_LABELS)
+                .filter(phase => this.traces[phase])
+                .map(phase => `<option value="${phase}">${PHASE_LABELS[phase]}</option>`)
+                .join('');
+
+            document.getElementById('stepPlayer').classList.remove('d-none');
+            this.setPhase(showPhase || (this.traces[this.phase] ? this.phase : Object.keys(byPhase)[0]));
+        }
+
+        /**
+         * Switch to another phase and rewind to its first step
+         * @param {string} phase - Phase name
+         */
+        setPhase(phase) {
+            this.pause();
+            this.phase = phase;
+            document.getElementById('playerPhase').value = phase;
+            this.goTo(0);
+        }
+
+        /**
+         * Steps of the current phase
+         * @returns {Array<Object>} Step records
+         */
+        currentTrace() {
+            return this.traces[this.phase] || [];
+        }
+
+        /**
+         * Show the step at an index
+         * @param {number} index - Step index within the current phase
+         */
+        goTo(index) {
+            const trace = this.currentTrace();
+            this.index = Math.max(0, Math.min(index, trace.length - 1));
+            this.render();
+        }
+
+        /**
+         * Advance one step; returns false when already at the last step
+         * @returns {boolean} True if the player moved
+         */
+        next() {
+            if (this.index >= this.currentTrace().length - 1) {
+                return false;
+            }
+            this.goTo(this.index + 1);
+            return true;
+        }
+
+        /**
+         * Go back one step
+         */
+        previous() {
+            this.goTo(this.index - 1);
+        }
+
+        /**
+         * Start or stop automatic playback
+         */
+        togglePlay() {
+            if (this.timer) {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }
+
+        /**
+         * Play from the current step (restarting if at the end) at the selected speed
+         */
+        play() {
+            if (this.index >= this.currentTrace().length - 1) {
+                this.goTo(0);
+            }
+            const speed = Number(document.getElementById('playerSpeed').value);
+            this.timer = setInterval(() => {
+                if (!this.next()) {
+                    this.pause();
+                }
+            }, SPEED_DELAYS[speed - 1]);
+            this.updatePlayButton();
+        }
+
+        /**
+         * Stop automatic playback
+         */
+        pause() {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.updatePlayButton();
+        }
+
+        /**
+         * Show a play or pause icon to match the playback state
+         */
+        updatePlayButton() {
+            const icon = document.querySelector('#playerPlay i');
+            icon.className = this.timer ? 'fas fa-pause' : 'fas fa-play';
+        }
+
+        /**
+         * Render the current step: input cursor, stack, output queue and description
+         */
+        render() {
+            const trace = this.currentTrace();
+            const step = trace[this.index];
+            if (!step) {
+                return;
+            }
+
+            // The prefix notes that reverse the input and the result are shown but not numbered
+            const isNote = (record) => record.action === 'reverse' || record.action === 'finish';
+            const numbered = trace.filter(record => !isNote(record));
+            document.getElementById('playerCounter').textContent = isNote(step)
+                ? `Note / ${numbered.length} steps`
+                : `Step ${numbered.indexOf(step) + 1} / ${numbered.length}`;
+            document.getElementById('playerInput').innerHTML = this.renderSource(step);
+            document.getElementById('playerMessage').textContent = step.text;
+
+            const operands = OPERAND_PHASES.includes(step.phase);
+            document.getElementById('playerStackLabel').textContent = operands ? 'Operand Stack' : 'Operator Stack';
+            document.getElementById('playerOutputSection').classList.toggle('d-none', operands);
+
+            // Top of the stack is drawn first, so the stack grows upwards
+            document.getElementById('playerStack').innerHTML = step.stack.length > 0
+                ? [...step.stack].reverse().map((item, i) =>
+                    `<div class="player-cell${i === 0 ? ' player-top' : ''}">${escapeHtml(item)}</div>`).join('')
+                : '<span class="text-muted small">empty</span>';
+
+            document.getElementById('playerOutput').innerHTML = step.output.length > 0
+                ? step.output.map((item, i) =>
+                    `<div class="player-cell${i === step.output.length - 1 ? ' player-top' : ''}">${escapeHtml(item)}</div>`).join('')
+                : '<span class="text-muted small">empty</span>';
+
+            document.getElementById('playerPrev').disabled = this.index === 0;
+            document.getElementById('playerFirst').disabled = this.index === 0;
+            document.getElementById('playerNext').disabled = this.index >= trace.length - 1;
+        }
+
+        /**
+         * Render the scanned text with the current token marked and consumed text dimmed.
+         * Prefix input is scanned right to left, so its consumed text is after the cursor.
+         * @param {Object} step - Step record
+         * @returns {string} HTML
+         */
+        renderSource(step) {
+            const source = step.source || '';
+            if (!step.cursor) {
+                return `<span class="player-consumed">${escapeHtml(source)}</span>`;
+            }
+
+            const { start, end } = step.cursor;
+            const before = escapeHtml(source.slice(0, start));
+            const after = escapeHtml(source.slice(end));
+            const current = `<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+            return RIGHT_TO_LEFT_PHASES.includes(step.phase)
+                ? `${before}${current}<span class="player-consumed">${after}</span>`
+                : `<span class="player-consumed">${before}</span>${current}${after}`;
+        }
+    }
+
+    return { StepPlayer };
+});
@@ -0,0 +1,54 @@
+/**
+ * Tests for the batch helpers in batch.js: reading a batch, converting and evaluating each line,
+ * and writing the results as CSV.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+const { parseBatch, convertBatch, toCsv } = require('../batch');
+
+describe('convertBatch', () => {
+    const engine = new ExpressionEngine();
+
+    it('reports the outcome of each line', () => {
+        const rows = convertBatch(engine, parseBatch('(2+3)*4\nx*y ; x=2, y=3\nx / 0 ; x=1\n2 +* 3\n1 ; x=z'));
+        assert.deepEqual(rows.map(row => row.status), ['evaluated', 'evaluated', 'converted', 'failed', 'failed']);
+        assert.deepEqual(rows.map(row => row.result), ['20', '6', null, null, null]);
+        assert.equal(rows[2].postfix, 'x 0 /');
+        assert.equal(rows[2].error, 'Division by zero');
+        assert.equal(rows[3].error, "Consecutive operators '+' and '*' at index 2");
+    });
+
+    it('keeps the conversions of a line whose variables have no values, and skips its evaluation', () => {
+        const [row] = convertBatch(engine, parseBatch('(a + b) * c ; a = 1'));
+        assert.equal(row.status, 'unbound');
+        assert.deepEqual(row.unbound, ['b', 'c']);
+        assert.equal(row.error, null);
+        assert.equal(row.result, null);
+        assert.equal(row.postfix, 'a b + c *');
+        assert.equal(row.prefix, '* + a b c');
+    });
+});
+
+describe('toCsv', () => {
+    const engine = new ExpressionEngine();
+
+    it('writes the status and unbound variables of each line', () => {
+        const lines = toCsv(convertBatch(engine, parseBatch('x*y ; x=2'))).split('\r\n');
+        assert.equal(lines[0], 'line,expression,values,infix,postfix,prefix,result,status,unbound,error');
+        assert.equal(lines[1], '1,x*y,x=2,x * y,x y *,* x y,,unbound,y,');
+    });
+
+    it('stops spreadsheet programs from reading cells as formulas', () => {
+        const [header, row] = toCsv(convertBatch(engine, parseBatch('-a + b ; a=1, b=2'))).split('\r\n');
+        const cells = Object.fromEntries(header.split(',').map((column, index) => [column, row.split(',')[index]]));
+        assert.equal(cells.expression, `"'-a + b"`);
+        assert.equal(cells.prefix, `"'+ ~ a b"`);
+        assert.equal(cells.result, '1');
+        assert.equal(toCsv([{ line: 1, expression: '=1+1', bindings: {}, result: '-3', status: 'failed' }]).split('\r\n')[1],
+            `1,"'=1+1",,,,,-3,failed,,`);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the command-line interface in cli.js, run through main() with in-memory streams.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+const { main } = require('../cli');
+
+/**
+ * Run the command line with the given arguments
+ * @param {Array<string>} argv - Arguments
+ * @param {string|null} input - Text on standard input, or null for a terminal
+ * @returns {Promise<{status: number, stdout: string, stderr: string}>} Exit status and output
+ */
+async function run(argv, input = null) {
+    let stdout = '';
+    let stderr = '';
+    let stdin = { isTTY: true };
+    if (input !== null) {
+        stdin = new PassThrough();
+        stdin.end(input);
+    }
+    const io = {
+        stdin,
+        stdout: { write: (text) => { stdout += text; } },
+        stderr: { write: (text) => { stderr += text; } }
+    };
+    const status = await main(argv, io);
+    return { status, stdout, stderr };
+}
+
+describe('cli', () => {
+    it('converts and evaluates', async () => {
+        assert.deepEqual(await run(['convert', '--to', 'prefix', '(a + b) * c']),
+            { status: 0, stdout: '* + a b c\n', stderr: '' });
+        assert.deepEqual(await run(['eval', '--var', 'x=4', 'x ^ 2 / 8']),
+            { status: 0, stdout: '2\n', stderr: '' });
+    });
+
+    it('points at unbound variables in infix input', async () => {
+        const { status, stderr } = await run(['eval', '--var', 'a=1', 'a + (b * c)']);
+        assert.equal(status, 1);
+        assert.equal(stderr, "error: No value assigned to variables 'b', 'c'\n  a + (b * c)\n       ^\n");
+
+        const { stdout } = await run(['eval', '--json', 'a + b']);
+        assert.deepEqual(JSON.parse(stdout).errors, [{ message: "No value assigned to variables 'a', 'b'", start: 0, end: 1 }]);
+    });
+
+    it('points at the operand left over in postfix and prefix input', async () => {
+        const postfix = await run(['eval', '--from', 'postfix', '2 3']);
+        assert.equal(postfix.status, 1);
+        assert.equal(postfix.stderr,
+            "error: Invalid postfix expression: 2 operands but no operator to combine them; '3' at index 2 is left over\n  2 3\n    ^\n");
+
+        const prefix = await run(['eval', '--from', 'prefix', '--json', '+ 1 2 3']);
+        assert.deepEqual(JSON.parse(prefix.stdout).errors.map(({ start, end }) => [start, end]), [[6, 7]]);
+    });
+
+    it('numbers expressions from standard input by their line, counting blank lines', async () => {
+        const { status, stdout, stderr } = await run(['eval'], '1 + 1\n\n\n2 +\n');
+        assert.equal(status, 1);
+        assert.equal(stdout, '2\n');
+        assert.match(stderr, /^expression 4: error: Expression cannot end with '\+'/);
+    });
+
+    it('writes Infinity and NaN as text in JSON', async () => {
+        const { stdout } = await run(['eval', '--json', '10 ^ 400', '-10 ^ 400', '0 * 10 ^ 400']);
+        assert.deepEqual(stdout.trim().split('\n').map(line => JSON.parse(line).value), ['Infinity', '-Infinity', 'NaN']);
+    });
+});
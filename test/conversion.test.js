@@ -0,0 +1,131 @@
+/**
+ * Tests for infixToPostfix() and infixToPrefix(): precedence, associativity, signs, number
+ * formats, functions, logic operators and the step traces.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+
+// [infix, postfix, prefix]
+const CONVERSIONS = [
+    // Precedence
+    ['2 + 3 * 4', '2 3 4 * +', '+ 2 * 3 4'],
+    ['(2 + 3) * 4', '2 3 + 4 *', '* + 2 3 4'],
+    ['(a + b) * c - d / 2', 'a b + c * d 2 / -', '- * + a b c / d 2'],
+    ['a * b + c * d', 'a b * c d * +', '+ * a b * c d'],
+    ['a // b % c ^ d', 'a b // c d ^ %', '% // a b ^ c d'],
+
+    // Left-associative operators group to the left, in both notations
+    ['a - b - c', 'a b - c -', '- - a b c'],
+    ['a / b / c', 'a b / c /', '/ / a b c'],
+    ['a - b + c', 'a b - c +', '+ - a b c'],
+    ['a * b / c % d', 'a b * c / d %', '% / * a b c d'],
+    ['a - (b - c)', 'a b c - -', '- a - b c'],
+
+    // Right-associative '^' groups to the right, in both notations
+    ['a ^ b ^ c', 'a b c ^ ^', '^ a ^ b c'],
+    ['(a ^ b) ^ c', 'a b ^ c ^', '^ ^ a b c'],
+    ['2 ^ 3 ^ 2', '2 3 2 ^ ^', '^ 2 ^ 3 2'],
+
+    // Decimals and scientific notation are single tokens
+    ['3.5 + 1.25', '3.5 1.25 +', '+ 3.5 1.25'],
+    ['.5 * 10.', '.5 10. *', '* .5 10.'],
+    ['1e-3 * 2E+4', '1e-3 2E+4 *', '* 1e-3 2E+4'],
+    ['12.75 / 0.25 - 100', '12.75 0.25 / 100 -', '- / 12.75 0.25 100'],
+
+    // Signs: a leading or post-operator '-' is negation, written '~'; unary '+' disappears
+    ['-3 + 2', '3 ~ 2 +', '+ ~ 3 2'],
+    ['-(2 + 3) * 4', '2 3 + ~ 4 *', '* ~ + 2 3 4'],
+    ['2 * -3', '2 3 ~ *', '* 2 ~ 3'],
+    ['-2^2', '2 2 ^ ~', '~ ^ 2 2'],
+    ['(-2)^2', '2 ~ 2 ^', '^ ~ 2 2'],
+    ['- -a', 'a ~ ~', '~ ~ a'],
+    ['+x - +y', 'x y -', '- x y'],
+
+    // Functions; calls with an unusual argument count are written 'name@count'
+    ['sqrt(x) + 1', 'x sqrt 1 +', '+ sqrt x 1'],
+    ['max(1, 2)', '1 2 max', 'max 1 2'],
+    ['max(1, 2, 3)', '1 2 3 max@3', 'max@3 1 2 3'],
+    ['log(8, 2) * sin(x)', '8 2 log@2 x sin *', '* log@2 8 2 sin x'],
+    ['min(a - b, -c)', 'a b - c ~ min', 'min - a b ~ c'],
+
+    // Logic and comparisons bind looser than arithmetic; '->' is right-associative
+    ['p && q || r', 'p q && r ||', '|| && p q r'],
+    ['p -> q -> r', 'p q r -> ->', '-> p -> q r'],
+    ['!p || q', 'p ! q ||', '|| ! p q'],
+    ['a + 1 < b * 2', 'a 1 + b 2 * <', '< + a 1 * b 2']
+];
+
+describe('infixToPostfix', () => {
+    const engine = new ExpressionEngine();
+
+    for (const [infix, postfix] of CONVERSIONS) {
+        it(`converts ${infix}`, () => {
+            assert.equal(engine.infixToPostfix(infix), postfix);
+        });
+    }
+
+    it('ignores spacing', () => {
+        assert.equal(engine.infixToPostfix('(a+b)*c-d/2'), 'a b + c * d 2 / -');
+        assert.equal(engine.infixToPostfix('  ( a + b )  *  c  '), 'a b + c *');
+    });
+
+    it('records the shunting-yard steps', () => {
+        const trace = [];
+        engine.infixToPostfix('a + b * c', trace);
+
+        assert.deepEqual(trace[0], {
+            kind: 'heading',
+            text: 'Converting to Postfix (Shunting Yard Algorithm):',
+            phase: 'postfix'
+        });
+        assert.equal(trace[trace.length - 1].text, 'Final Postfix: a b c * +');
+
+        const steps = trace.filter(step => step.kind === 'step');
+        assert.deepEqual(steps.map(step => step.token), ['a', '+', 'b', '*', 'c', null, null]);
+        assert.deepEqual(steps[3].stack, ['+', '*']);
+        assert.deepEqual(steps[3].output, ['a', 'b']);
+        assert.deepEqual(steps[steps.length - 1].output, ['a', 'b', 'c', '*', '+']);
+        assert.deepEqual(steps[1].cursor, { start: 2, end: 3 });
+    });
+});
+
+describe('infixToPrefix', () => {
+    const engine = new ExpressionEngine();
+
+    for (const [infix, , prefix] of CONVERSIONS) {
+        it(`converts ${infix}`, () => {
+            assert.equal(engine.infixToPrefix(infix), prefix);
+        });
+    }
+
+    it('records the reversal and the shunting-yard steps', () => {
+        const trace = [];
+        engine.infixToPrefix('(a + b) / c', trace);
+
+        assert.equal(trace[0].text, 'Converting to Prefix:');
+        assert.ok(trace.every(step => step.phase === 'prefix'));
+        assert.equal(trace[1].action, 'reverse');
+        assert.equal(trace[1].source, 'c / ( b + a )');
+        assert.equal(trace[trace.length - 1].text, 'Final Prefix: / + a b c');
+    });
+});
+
+describe('convert', () => {
+    const engine = new ExpressionEngine();
+
+    it('writes infix with only the parentheses it needs, and fully parenthesized', () => {
+        const { infix, parenthesized } = engine.convert('((a + b)) * (c - (d - e))');
+        assert.equal(infix, '(a + b) * (c - (d - e))');
+        assert.equal(parenthesized, '((a + b) * (c - (d - e)))');
+    });
+
+    it('reads postfix and prefix input', () => {
+        assert.equal(engine.convert('a b c ^ ^', 'postfix').infix, 'a ^ b ^ c');
+        assert.equal(engine.convert('- - a b c', 'prefix').infix, 'a - b - c');
+        assert.equal(engine.convert('- a - b c', 'prefix').postfix, 'a b c - -');
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the Differentiator in differentiator.js: each rule, the rule records, derivatives
+ * with respect to other variables, and the operators and functions it refuses.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+const { Simplifier } = require('../simplifier');
+const { Differentiator } = require('../differentiator');
+
+describe('Differentiator', () => {
+    const engine = new ExpressionEngine();
+    const differentiator = new Differentiator(engine);
+    const simplifier = new Simplifier(engine);
+
+    /**
+     * Differentiate infix, simplify, and write the result as minimal infix
+     * @param {string} infix - Infix expression
+     * @param {string} variable - Variable to differentiate with respect to
+     * @returns {{derivative: string, rules: Array<string>}} Simplified derivative and the rules applied
+     */
+    const derive = (infix, variable = 'x') => {
+        const trace = [];
+        const derivative = differentiator.differentiate(engine.parse(infix), variable, trace);
+        return {
+            derivative: engine.toInfix(simplifier.simplify(derivative), 'minimal'),
+            rules: trace.filter(step => step.kind === 'step').map(step => step.rule)
+        };
+    };
+
+    // [infix, simplified derivative with respect to x, first rule applied]
+    const rules = [
+        ['5', '0', 'Constant rule'],
+        ['x', '1', 'Variable rule'],
+        ['x + 3', '1', 'Sum rule'],
+        ['x * sin(x)', 'sin(x) + x * cos(x)', 'Product rule'],
+        ['x / (x + 1)', '1 / (x + 1) ^ 2', 'Quotient rule'],
+        ['x ^ 3', '3 * x ^ 2', 'Power rule'],
+        ['2 ^ x', '2 ^ x * log(2)', 'Exponential rule'],
+        ['sin(x ^ 2)', 'cos(x ^ 2) * (2 * x)', 'Derivative of sin with chain rule'],
+        ['sqrt(3 * x + 1)', '1 / (2 * sqrt(3 * x + 1)) * 3', 'Derivative of sqrt with chain rule'],
+        ['-x', '-1', 'Negation rule']
+    ];
+    for (const [infix, expected, rule] of rules) {
+        it(`applies the ${rule.toLowerCase()} to ${infix}`, () => {
+            const { derivative, rules: applied } = derive(infix);
+            assert.equal(derivative, expected);
+            assert.equal(applied[0], rule);
+        });
+    }
+
+    it('treats other variables as constants', () => {
+        assert.deepEqual(derive('y'), { derivative: '0', rules: ['Constant rule'] });
+        assert.equal(derive('x * y').derivative, 'y');
+        assert.equal(derive('x * y + y ^ 2', 'y').derivative, 'x + 2 * y');
+        assert.equal(derive('x ^ 3', 'y').derivative, '0');
+    });
+
+    it('records the whole expression before its parts', () => {
+        const trace = [];
+        differentiator.differentiate(engine.parse('x * sin(x)'), 'x', trace);
+
+        assert.ok(trace.every(step => step.phase === 'differentiate'));
+        assert.deepEqual(trace.map(step => step.text), [
+            'Differentiating with respect to x:',
+            'Product rule: d/dx(x * sin(x)) = d/dx(x) * sin(x) + x * d/dx(sin(x))',
+            'Variable rule: d/dx(x) = 1',
+            'Derivative of sin: d/dx(sin(x)) = cos(x)',
+            'Variable rule: d/dx(x) = 1',
+            'd/dx = 1 * sin(x) + x * (cos(x) * 1)'
+        ]);
+    });
+
+    it('agrees with a numerical derivative', () => {
+        const expressions = ['x ^ 3 - 2 * x', 'x * sin(x)', 'x / (x + 1)', 'sqrt(3 * x + 1)', 'x ^ x', 'log(x) * cos(x)'];
+        const h = 1e-6;
+        for (const infix of expressions) {
+            const ast = engine.parse(infix);
+            const derivative = engine.toPostfix(differentiator.differentiate(ast, 'x'));
+            const postfix = engine.toPostfix(ast);
+            for (const x of [0.5, 1.3, 2]) {
+                const slope = (engine.evaluatePostfix(postfix, { x: x + h }) - engine.evaluatePostfix(postfix, { x: x - h })) / (2 * h);
+                const actual = engine.evaluatePostfix(derivative, { x });
+                assert.ok(Math.abs(actual - slope) < 1e-5, `${infix} at x = ${x}: ${actual} != ${slope}`);
+            }
+        }
+    });
+
+    it('refuses operators and functions that have no derivative', () => {
+        assert.throws(() => differentiator.differentiate(engine.parse('max(x, 1)'), 'x'),
+            { message: "Function 'max' has no derivative (it is not smooth)" });
+        assert.throws(() => differentiator.differentiate(engine.parse('min(x, y)'), 'y'),
+            { message: "Function 'min' has no derivative (it is not smooth)" });
+        assert.throws(() => differentiator.differentiate(engine.parse('x // 2'), 'x'),
+            { message: "Operator '//' has no derivative (it is not smooth)" });
+    });
+
+    it('does not need a derivative for parts that do not depend on the variable', () => {
+        assert.equal(derive('max(y, 1) * x').derivative, 'max(y, 1)');
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Tests for evaluatePostfix() and evaluatePrefix() in each numeric mode, with variable values,
+ * functions, logic operators and the step traces.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine, UnboundVariablesError } = require('../engine');
+
+// [infix, value]; each is evaluated from the engine's own postfix and prefix conversions
+const VALUES = [
+    ['2 + 3 * 4', 14],
+    ['(2 + 3) * 4', 20],
+    ['10 - 4 - 3', 3],
+    ['100 / 10 / 5', 2],
+    ['2 ^ 3 ^ 2', 512],
+    ['(2 ^ 3) ^ 2', 64],
+    ['3.5 + 1.25', 4.75],
+    ['.5 * 10', 5],
+    ['1e-3 * 2e3', 2],
+    ['-3 + 2', -1],
+    ['-(2 + 3) * 4', -20],
+    ['2 * -3', -6],
+    ['-2^2', -4],
+    ['(-2)^2', 4],
+    ['7 // 2', 3],
+    ['-7 // 2', -4],
+    ['7 % 3', 1],
+    ['sqrt(16) + abs(-2)', 6],
+    ['max(1, 5, 3) - min(4, 2)', 3],
+    ['log(8, 2)', 3],
+    ['pow(2, 10)', 1024],
+    ['1 + 2 < 4', true],
+    ['2 * 3 == 6 && !(1 > 2)', true],
+    ['true -> false', false],
+    ['true xor true || false', false]
+];
+
+describe('evaluatePostfix', () => {
+    const engine = new ExpressionEngine();
+
+    for (const [infix, value] of VALUES) {
+        it(`evaluates ${infix}`, () => {
+            assert.equal(engine.evaluatePostfix(engine.infixToPostfix(infix)), value);
+        });
+    }
+
+    it('uses variable values, including true/false', () => {
+        assert.equal(engine.evaluatePostfix('a b + c *', { a: 1, b: 2, c: 3 }), 9);
+        assert.equal(engine.evaluatePostfix('x 2 ^ ~', { x: 1.5 }), -2.25);
+        assert.equal(engine.evaluatePostfix('p q &&', { p: true, q: false }), false);
+    });
+
+    it('lists every unbound variable once, in order of appearance', () => {
+        assert.throws(() => engine.evaluatePostfix('y x + y *'), (error) => {
+            assert.ok(error instanceof UnboundVariablesError);
+            assert.deepEqual(error.variables, ['y', 'x']);
+            return true;
+        });
+    });
+
+    it('records each push and computation', () => {
+        const trace = [];
+        engine.evaluatePostfix('2 3 4 * +', {}, trace);
+
+        const steps = trace.filter(step => step.kind === 'step');
+        assert.deepEqual(steps.map(step => step.action), ['push', 'push', 'push', 'apply', 'apply']);
+        assert.deepEqual(steps.map(step => step.stack), [[2], [2, 3], [2, 3, 4], [2, 12], [14]]);
+        assert.deepEqual(steps[3].operands, [3, 4]);
+        assert.equal(steps[3].result, 12);
+        assert.equal(trace[trace.length - 1].text, 'Result: 14');
+    });
+});
+
+describe('evaluatePrefix', () => {
+    const engine = new ExpressionEngine();
+
+    for (const [infix, value] of VALUES) {
+        it(`evaluates ${infix}`, () => {
+            assert.equal(engine.evaluatePrefix(engine.infixToPrefix(infix)), value);
+        });
+    }
+
+    it('takes the left operand from the top of the stack', () => {
+        assert.equal(engine.evaluatePrefix('- 10 4'), 6);
+        assert.equal(engine.evaluatePrefix('/ 8 2'), 4);
+        assert.equal(engine.evaluatePrefix('^ 2 3'), 8);
+    });
+
+    it('uses variable values', () => {
+        assert.equal(engine.evaluatePrefix('* + a b c', { a: 1, b: 2, c: 3 }), 9);
+    });
+
+    it('records the scan from right to left', () => {
+        const trace = [];
+        engine.evaluatePrefix('+ 1 * 2 3', {}, trace);
+
+        assert.equal(trace[0].text, 'Evaluating Prefix (right to left):');
+        const steps = trace.filter(step => step.kind === 'step');
+        assert.deepEqual(steps.map(step => step.token), ['3', '2', '*', '1', '+']);
+        assert.equal(trace[trace.length - 1].text, 'Result: 7');
+    });
+});
+
+describe('numeric modes', () => {
+    it('evaluates exactly with rationals', () => {
+        const engine = new ExpressionEngine();
+        engine.setNumericMode('rational');
+        const value = engine.evaluatePostfix(engine.infixToPostfix('1/3 + 1/6'));
+        assert.equal(engine.formatNumber(value), '1/2');
+        assert.equal(engine.formatNumber(engine.evaluatePostfix('0.1 0.2 +')), '3/10');
+        assert.equal(engine.formatNumber(engine.evaluatePrefix('^ / 2 3 2')), '4/9');
+    });
+
+    it('evaluates exactly with big integers', () => {
+        const engine = new ExpressionEngine();
+        engine.setNumericMode('bigint');
+        assert.equal(engine.evaluatePostfix('2 100 ^'), 2n ** 100n);
+        assert.equal(engine.evaluatePrefix('// 7 2'), 3n);
+        assert.equal(engine.formatNumber(engine.evaluatePostfix('x 1 +', { x: 41 })), '42');
+    });
+
+    it('rejects an unknown mode', () => {
+        assert.throws(() => new ExpressionEngine().setNumericMode('decimal'), { message: 'Unknown numeric mode: decimal' });
+    });
+});
+
+describe('mixed logic and comparisons', () => {
+    const engine = new ExpressionEngine();
+
+    it('treats only operands of logic operators as true/false', () => {
+        assert.deepEqual(engine.variableKinds(engine.parse('x > 2 && p')), { x: 'number', p: 'boolean' });
+        assert.deepEqual(engine.variableKinds(engine.parse('!a || b + 1 < c')), { a: 'boolean', b: 'number', c: 'number' });
+        assert.deepEqual(engine.variableKinds(engine.parse('max(x, y) - 1')), { x: 'number', y: 'number' });
+    });
+
+    it('evaluates with a number for x and true/false for p', () => {
+        const postfix = engine.infixToPostfix('x > 2 && p');
+        assert.equal(engine.evaluatePostfix(postfix, { x: 3, p: true }), true);
+        assert.equal(engine.evaluatePostfix(postfix, { x: 1, p: true }), false);
+        assert.equal(engine.evaluatePrefix(engine.infixToPrefix('x > 2 && p'), { x: 3, p: false }), false);
+    });
+
+    it('tabulates each comparison as a column of its own', () => {
+        const { variables, rows } = engine.truthTable(engine.infixToPostfix('x > 2 && x <= 5'));
+        assert.deepEqual(variables, ['x > 2', 'x <= 5']);
+        assert.deepEqual(rows.map(row => row.result), [false, false, false, true]);
+
+        const mixed = engine.truthTable(engine.infixToPostfix('sqrt(x) > 1 xor p'));
+        assert.deepEqual(mixed.variables, ['sqrt(x) > 1', 'p']);
+        assert.deepEqual(mixed.rows[2], { values: { 'sqrt(x) > 1': true, p: false }, result: true });
+    });
+
+    it('follows custom operators into their formula', () => {
+        const custom = new ExpressionEngine();
+        custom.defineOperator({ symbol: '<>', arity: 2, precedence: 7.5, associativity: 'left', formula: 'a && !b' });
+        assert.deepEqual(custom.variableKinds(custom.parse('p <> q')), { p: 'boolean', q: 'boolean' });
+        assert.deepEqual(custom.truthTable('p q <>').rows.map(row => row.result), [false, false, true, false]);
+    });
+
+    it('refuses a truth table that needs a number', () => {
+        assert.throws(() => engine.truthTable('a b + p &&'), {
+            message: "Variable 'a' is used as a number outside a comparison, so it has no place in a truth table"
+        });
+    });
+});
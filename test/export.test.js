@@ -0,0 +1,44 @@
+/**
+ * Tests for the Markdown and LaTeX writers in export.js.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+const { traceToMarkdown, traceToLatex } = require('../export');
+
+describe('traceToMarkdown', () => {
+    const engine = new ExpressionEngine();
+
+    it('writes headings in bold and steps as a table', () => {
+        const trace = [];
+        engine.infixToPostfix('a + b', trace);
+        const lines = traceToMarkdown(engine, trace).split('\n');
+
+        assert.equal(lines[0], '**Converting to Postfix (Shunting Yard Algorithm):**');
+        assert.equal(lines[2], '| # | Token | Action | Stack | Output |');
+        assert.equal(lines[4], "| 1 | `a` | Read operand 'a' → Output: [a] |  | `a` |");
+    });
+
+    it('escapes Markdown characters in headings and actions', () => {
+        const trace = [];
+        engine.infixToPostfix('a * b_1', trace);
+        const markdown = traceToMarkdown(engine, trace);
+
+        assert.ok(markdown.endsWith('**Final Postfix: a b\\_1 \\***\n'));
+        assert.match(markdown, /\| 2 \| `\*` \| Push '\\\*' to stack: \[\\\*\] \| `\*` \| `a` \|/);
+        assert.equal(traceToMarkdown(engine, [{ kind: 'heading', text: 'Stack `\\` | _' }]), '**Stack \\`\\\\\\` | \\_**\n');
+    });
+});
+
+describe('traceToLatex', () => {
+    const engine = new ExpressionEngine();
+
+    it('escapes LaTeX characters in headings', () => {
+        const trace = [];
+        engine.infixToPostfix('a % b', trace);
+        assert.match(traceToLatex(engine, trace), /\\textbf\{Final Postfix: a b \\%\}/);
+    });
+});
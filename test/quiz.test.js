@@ -0,0 +1,61 @@
+/**
+ * Tests for the quiz grader in quiz.js: correct and wrong answers, and the conversion step
+ * it reports for the first wrong token.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+const { gradeAnswer } = require('../quiz');
+
+describe('gradeAnswer', () => {
+    const engine = new ExpressionEngine();
+    const question = 'a + b * c - d';
+
+    it('accepts the converter\'s answer', () => {
+        assert.deepEqual(gradeAnswer(engine, question, 'postfix', 'a b c * + d -'), {
+            correct: true,
+            expected: ['a', 'b', 'c', '*', '+', 'd', '-'],
+            given: ['a', 'b', 'c', '*', '+', 'd', '-'],
+            index: null,
+            step: null
+        });
+        assert.equal(gradeAnswer(engine, question, 'prefix', '- + a * b c d').correct, true);
+    });
+
+    it('accepts answers that differ only in whitespace', () => {
+        assert.equal(gradeAnswer(engine, question, 'postfix', '  a   b c*+ d-  ').correct, true);
+        assert.equal(gradeAnswer(engine, question, 'prefix', '-+a*b c\td').correct, true);
+    });
+
+    it('finds the first wrong, missing or extra token', () => {
+        const wrong = gradeAnswer(engine, question, 'postfix', 'a b + c d *');
+        assert.equal(wrong.correct, false);
+        assert.equal(wrong.index, 2);
+        assert.deepEqual(wrong.given, ['a', 'b', '+', 'c', 'd', '*']);
+
+        assert.equal(gradeAnswer(engine, question, 'postfix', 'a b c * +').index, 5);
+
+        const extra = gradeAnswer(engine, question, 'postfix', 'a b c * + d - e');
+        assert.equal(extra.index, 7);
+        assert.equal(extra.step, null);
+    });
+
+    it('reports the postfix step that outputs the expected token', () => {
+        const { step } = gradeAnswer(engine, question, 'postfix', 'a b + c d *');
+        assert.equal(step.number, 5);
+        assert.equal(step.phase, 'postfix');
+        assert.equal(step.text, "Read operand 'c' → Output: [a, b, c]");
+    });
+
+    it('numbers prefix steps without the notes that reverse the input and result', () => {
+        const { index, step } = gradeAnswer(engine, question, 'prefix', '- + a b c d');
+        assert.equal(index, 3);
+        assert.equal(step.number, 6);
+        assert.equal(step.text, "Pop '*' to output: [d, c, b, *]");
+
+        assert.equal(gradeAnswer(engine, question, 'prefix', '+ a * b c d -').step.number, 10);
+    });
+});
@@ -0,0 +1,268 @@
+/**
+ * Property-based checks: random expression trees are written as infix with the precedence and
+ * associativity rules of the README, converted by the engine, and evaluated. Both notations
+ * must match the tree's own postfix and prefix, and both evaluators must agree with a reference
+ * evaluator that works on the tree directly.
+ *
+ * The run is reproducible: set PROPERTY_SEED to replay a failure, PROPERTY_RUNS to try more cases.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+
+const SEED = Number(process.env.PROPERTY_SEED ?? 20240517);
+const RUNS = Number(process.env.PROPERTY_RUNS ?? 400);
+
+// Binary operators with their precedence and associativity, as documented
+const BINARY = {
+    '+': { precedence: 7, right: false, apply: (a, b) => a + b },
+    '-': { precedence: 7, right: false, apply: (a, b) => a - b },
+    '*': { precedence: 8, right: false, apply: (a, b) => a * b },
+    '/': { precedence: 8, right: false, apply: (a, b) => a / b },
+    '%': { precedence: 8, right: false, apply: (a, b) => a % b },
+    '//': { precedence: 8, right: false, apply: (a, b) => Math.floor(a / b) },
+    '^': { precedence: 10, right: true, apply: (a, b) => a ** b }
+};
+const NEGATION_PRECEDENCE = 9;
+const VARIABLES = ['a', 'b', 'c', 'x', 'y'];
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Value of a tree, computed directly
+ * @param {Object} node - Tree node
+ * @param {Object<string, number>} bindings - Variable values
+ * @returns {number} Value
+ */
+function referenceValue(node, bindings) {
+    switch (node.type) {
+        case 'number':
+            return Number(node.value);
+        case 'variable':
+            return bindings[node.name];
+        case 'negate':
+            return -referenceValue(node.operand, bindings);
+        default:
+            return BINARY[node.operator].apply(referenceValue(node.left, bindings), referenceValue(node.right, bindings));
+    }
+}
+
+/**
+ * Build a random tree. Exponents are kept to small whole numbers so powers stay finite and
+ * real; a divisor that works out to zero is swapped for addition.
+ * @param {Function} random - Random number generator
+ * @param {number} depth - Levels left below this node
+ * @param {Object<string, number>} bindings - Variable values, to check divisors
+ * @returns {Object} Tree node
+ */
+function randomTree(random, depth, bindings) {
+    const pick = (items) => items[Math.floor(random() * items.length)];
+
+    if (depth === 0 || random() < 0.25) {
+        const kind = random();
+        if (kind < 0.4) {
+            return { type: 'number', value: String(Math.floor(random() * 10)) };
+        }
+        if (kind < 0.6) {
+            return { type: 'number', value: pick(['0.5', '2.25', '.75', '10.5', '1e-2', '3E1']) };
+        }
+        return { type: 'variable', name: pick(VARIABLES) };
+    }
+
+    if (random() < 0.15) {
+        return { type: 'negate', operand: randomTree(random, depth - 1, bindings) };
+    }
+
+    const operator = pick(Object.keys(BINARY));
+    const left = randomTree(random, depth - 1, bindings);
+    if (operator === '^') {
+        return { type: 'binary', operator, left, right: { type: 'number', value: String(Math.floor(random() * 4)) } };
+    }
+    const right = randomTree(random, depth - 1, bindings);
+    const divides = operator === '/' || operator === '%' || operator === '//';
+    return {
+        type: 'binary',
+        operator: divides && referenceValue(right, bindings) === 0 ? '+' : operator,
+        left,
+        right
+    };
+}
+
+/**
+ * Precedence of a tree node; operands bind tightest
+ * @param {Object} node - Tree node
+ * @returns {number} Precedence
+ */
+function precedenceOf(node) {
+    if (node.type === 'negate') {
+        return NEGATION_PRECEDENCE;
+    }
+    return node.type === 'binary' ? BINARY[node.operator].precedence : Infinity;
+}
+
+/**
+ * Write a tree as infix with the parentheses the precedence rules require, plus some
+ * redundant ones, and random spacing
+ * @param {Function} random - Random number generator
+ * @param {Object} node - Tree node
+ * @returns {string} Infix
+ */
+function writeInfix(random, node) {
+    const space = () => (random() < 0.5 ? ' ' : '');
+    const group = (text, needed) => (needed || random() < 0.1 ? `(${space()}${text}${space()})` : text);
+
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            return node.name;
+        case 'negate': {
+            // Nested signs are grouped so '- -a' never reads as one token
+            const needed = precedenceOf(node.operand) < NEGATION_PRECEDENCE || node.operand.type === 'negate';
+            return `-${group(writeInfix(random, node.operand), needed)}`;
+        }
+        default: {
+            const { precedence, right: rightAssociative } = BINARY[node.operator];
+            const leftPrecedence = precedenceOf(node.left);
+            const rightPrecedence = precedenceOf(node.right);
+            const left = group(writeInfix(random, node.left),
+                leftPrecedence < precedence || (leftPrecedence === precedence && rightAssociative));
+            const right = group(writeInfix(random, node.right),
+                rightPrecedence < precedence || (rightPrecedence === precedence && !rightAssociative));
+            const gap = space();
+            return `${left}${gap}${node.operator}${gap}${right}`;
+        }
+    }
+}
+
+/**
+ * Postfix of a tree, with negation written '~'
+ * @param {Object} node - Tree node
+ * @returns {string} Postfix
+ */
+function writePostfix(node) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            return node.name;
+        case 'negate':
+            return `${writePostfix(node.operand)} ~`;
+        default:
+            return `${writePostfix(node.left)} ${writePostfix(node.right)} ${node.operator}`;
+    }
+}
+
+/**
+ * Prefix of a tree, with negation written '~'
+ * @param {Object} node - Tree node
+ * @returns {string} Prefix
+ */
+function writePrefix(node) {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            return node.name;
+        case 'negate':
+            return `~ ${writePrefix(node.operand)}`;
+        default:
+            return `${node.operator} ${writePrefix(node.left)} ${writePrefix(node.right)}`;
+    }
+}
+
+/**
+ * Generate the test cases
+ * @returns {Array<{infix: string, tree: Object, bindings: Object}>} Cases
+ */
+function generateCases() {
+    const random = seededRandom(SEED);
+    return Array.from({ length: RUNS }, () => {
+        const bindings = Object.fromEntries(VARIABLES.map(name => [name, Math.floor(random() * 19) - 9]));
+        const tree = randomTree(random, 1 + Math.floor(random() * 5), bindings);
+        return { infix: writeInfix(random, tree), tree, bindings };
+    });
+}
+
+/**
+ * Run a property over every case, reporting the first failure with what is needed to replay it
+ * @param {Function} check - Called with each case; throws on failure
+ */
+function forAllCases(check) {
+    for (const testCase of generateCases()) {
+        try {
+            check(testCase);
+        } catch (error) {
+            error.message += `\n  infix: ${testCase.infix}\n  values: ${JSON.stringify(testCase.bindings)}\n  seed: ${SEED}`;
+            throw error;
+        }
+    }
+}
+
+describe(`random expressions (seed ${SEED}, ${RUNS} cases)`, () => {
+    const engine = new ExpressionEngine();
+
+    it('infixToPostfix groups operands like the precedence table says', () => {
+        forAllCases(({ infix, tree }) => {
+            assert.equal(engine.infixToPostfix(infix), writePostfix(tree));
+        });
+    });
+
+    it('infixToPrefix groups operands like the precedence table says', () => {
+        forAllCases(({ infix, tree }) => {
+            assert.equal(engine.infixToPrefix(infix), writePrefix(tree));
+        });
+    });
+
+    it('the reverse-and-convert steps shown for infixToPrefix reach the same prefix', () => {
+        forAllCases(({ infix, tree }) => {
+            const trace = [];
+            engine.infixToPrefix(infix, trace);
+            const reversedPostfix = trace.find(step => step.action === 'finish').output;
+            assert.equal([...reversedPostfix].reverse().join(' '), writePrefix(tree));
+        });
+    });
+
+    it('evaluatePostfix agrees with the reference evaluator', () => {
+        forAllCases(({ infix, tree, bindings }) => {
+            assert.equal(engine.evaluatePostfix(engine.infixToPostfix(infix), bindings), referenceValue(tree, bindings));
+        });
+    });
+
+    it('evaluatePrefix agrees with the reference evaluator', () => {
+        forAllCases(({ infix, tree, bindings }) => {
+            assert.equal(engine.evaluatePrefix(engine.infixToPrefix(infix), bindings), referenceValue(tree, bindings));
+        });
+    });
+
+    it('the minimal infix of each conversion converts back to the same postfix and prefix', () => {
+        forAllCases(({ infix }) => {
+            const postfix = engine.infixToPostfix(infix);
+            const prefix = engine.infixToPrefix(infix);
+            const fromPostfix = engine.convert(postfix, 'postfix');
+            const fromPrefix = engine.convert(prefix, 'prefix');
+
+            assert.equal(fromPostfix.prefix, prefix);
+            assert.equal(fromPrefix.postfix, postfix);
+            assert.equal(engine.infixToPostfix(fromPostfix.infix), postfix);
+            assert.equal(engine.infixToPrefix(fromPrefix.parenthesized), prefix);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+/**
+ * Tests for the shareable-link encoding in session.js.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+const { encodeState, decodeState } = require('../session');
+
+describe('encodeState and decodeState', () => {
+    it('round-trip a conversion with its modes, values and custom operators', () => {
+        const engine = new ExpressionEngine();
+        engine.defineOperator({ symbol: '<>', precedence: 7.5, formula: 'a && !b' });
+        engine.defineOperator({ symbol: 'avg', precedence: 5.5, formula: '(a + b) / 2' });
+        const state = {
+            expression: 'p <> q || (1 avg 2) > x & y',
+            mode: 'infix',
+            bindings: { p: true, q: false, x: -1.5, y: 3 },
+            numericMode: 'rational',
+            logic: true,
+            operators: engine.customOperators()
+        };
+
+        const hash = encodeState(state);
+        assert.ok(hash.startsWith('#expr='));
+        assert.deepEqual(decodeState(hash), state);
+        assert.deepEqual(decodeState(hash.slice(1)), state);
+    });
+
+    it('leaves the defaults out of the link and reads them back', () => {
+        const hash = encodeState({ expression: '2 3 +', mode: 'postfix' });
+        assert.equal(hash, '#expr=2+3+%2B&mode=postfix');
+        assert.deepEqual(decodeState(hash), {
+            expression: '2 3 +', mode: 'postfix', bindings: {}, numericMode: 'float', logic: false, operators: []
+        });
+    });
+
+    it('ignores the parts of a malformed link it cannot read', () => {
+        assert.equal(decodeState(''), null);
+        assert.equal(decodeState('#mode=infix&var.a=1'), null);
+
+        const state = decodeState('#expr=a%2Bb&mode=bogus&var.a=abc&var.b=&var.c=2&operators=%5B%7Bbroken');
+        assert.deepEqual(state, {
+            expression: 'a+b', mode: 'infix', bindings: { c: 2 }, numericMode: 'float', logic: false, operators: []
+        });
+        assert.deepEqual(decodeState('#expr=x&operators=%7B%22symbol%22%3A%22%3C%3E%22%7D').operators, []);
+    });
+});
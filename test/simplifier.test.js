@@ -0,0 +1,107 @@
+/**
+ * Tests for the Simplifier in simplifier.js: identities, constant folding, like terms, the rule
+ * records, and that a simplified expression keeps the value of the original.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine } = require('../engine');
+const { Simplifier } = require('../simplifier');
+
+/**
+ * Simplify infix and write the result as minimal infix
+ * @param {Object} engine - ExpressionEngine
+ * @param {string} infix - Infix expression
+ * @param {Array|null} trace - Optional array that receives the rule records
+ * @returns {string} Simplified infix
+ */
+function simplify(engine, infix, trace = null) {
+    return engine.toInfix(new Simplifier(engine).simplify(engine.parse(infix), trace), 'minimal');
+}
+
+describe('Simplifier', () => {
+    const engine = new ExpressionEngine();
+
+    // [infix, simplified]
+    const identities = [
+        ['x * 1', 'x'],
+        ['1 * x', 'x'],
+        ['x + 0', 'x'],
+        ['0 + x', 'x'],
+        ['x * 0', '0'],
+        ['x ^ 1', 'x'],
+        ['x ^ 0', '1'],
+        ['x / 1', 'x'],
+        ['x - x', '0'],
+        ['-(-x)', 'x']
+    ];
+    for (const [infix, simplified] of identities) {
+        it(`applies the identity ${infix} = ${simplified}`, () => {
+            assert.equal(simplify(engine, infix), simplified);
+        });
+    }
+
+    it('folds constant subexpressions, including function calls', () => {
+        assert.equal(simplify(engine, '2 + 3 * 4'), '14');
+        assert.equal(simplify(engine, '(2 + 3) * x'), '5 * x');
+        assert.equal(simplify(engine, 'sqrt(16) + y'), '4 + y');
+        assert.equal(simplify(engine, '2 * (3 * x)'), '6 * x');
+    });
+
+    it('combines like terms', () => {
+        assert.equal(simplify(engine, '2 * a + 3 * a'), '5 * a');
+        assert.equal(simplify(engine, 'x + x'), '2 * x');
+        assert.equal(simplify(engine, '3 * x - x'), '2 * x');
+        assert.equal(simplify(engine, '2 * a + 3 * a + x * 1'), '5 * a + x');
+    });
+
+    it('folds exactly in rational mode', () => {
+        const rational = new ExpressionEngine();
+        rational.setNumericMode('rational');
+        assert.equal(simplify(rational, '1/3 + 1/6 + x'), '1 / 2 + x');
+    });
+
+    it('records each rule applied', () => {
+        const trace = [];
+        simplify(engine, '2 * a + 3 * a + x * 1', trace);
+
+        assert.equal(trace[0].text, 'Simplifying:');
+        assert.ok(trace.every(step => step.phase === 'simplify'));
+        const steps = trace.filter(step => step.kind === 'step');
+        assert.deepEqual(steps.map(step => step.rule), ['Combine like terms', 'x * 1 = x']);
+        assert.deepEqual([steps[1].before, steps[1].after], ['x * 1', 'x']);
+        assert.equal(trace[trace.length - 1].text, 'Simplified: 5 * a + x');
+    });
+
+    it('leaves an expression alone when no rule applies', () => {
+        const trace = [];
+        assert.equal(simplify(engine, 'a * b - c', trace), 'a * b - c');
+        assert.equal(trace[trace.length - 1].text, 'No simplification rules apply');
+    });
+
+    it('gives an expression with the same value as the input', () => {
+        const expressions = [
+            '2 * a + 3 * a + b * 1',
+            '(a + 0) * (b ^ 1) - 0 * c',
+            '3 * a - a + 2 * (4 * b)',
+            'a * b + 2 * a * b - b * a',
+            '-(-a) + (2 + 3) * c / 1',
+            'a ^ 2 + a ^ 2 - 3 * c + c',
+            'sqrt(4) * a + max(1, 2) * a',
+            'a / 2 + a / 2 + (b - b)'
+        ];
+        const bindings = [{ a: 3, b: -2, c: 0.5 }, { a: -1.5, b: 7, c: 4 }, { a: 0, b: 1, c: -3 }];
+        const simplifier = new Simplifier(engine);
+        for (const infix of expressions) {
+            const ast = engine.parse(infix);
+            const simplified = engine.toPostfix(simplifier.simplify(ast));
+            for (const values of bindings) {
+                const expected = engine.evaluatePostfix(engine.toPostfix(ast), values);
+                const actual = engine.evaluatePostfix(simplified, values);
+                assert.ok(Math.abs(actual - expected) < 1e-9, `${infix} with ${JSON.stringify(values)}: ${actual} != ${expected}`);
+            }
+        }
+    });
+});
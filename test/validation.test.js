@@ -0,0 +1,98 @@
+/**
+ * Tests for validateExpression() and diagnose(), and the error fixtures in fixtures/errors.json,
+ * which hold one case for every error message the conversions and evaluators report.
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ExpressionEngine, ExpressionError } = require('../engine');
+const fixtures = require('./fixtures/errors.json');
+
+describe('validateExpression', () => {
+    const engine = new ExpressionEngine();
+
+    const valid = [
+        '2 + 3',
+        '(a + b) * c - d / 2',
+        '3.5 + 1.25',
+        '.5 * 2',
+        '1e-3 * 2E+4',
+        '-3 + 2',
+        '-(2 + 3) * 4',
+        '2 * -3',
+        '-2^2',
+        '+x',
+        '2 ^ 3 ^ 2',
+        'a // b % c',
+        'sqrt(x) + max(1, 2, 3) + log(8, 2)',
+        'min(-1, abs(-2))',
+        'p && !q || r -> s',
+        'a + 1 < b * 2 == true',
+        'x xor y'
+    ];
+    for (const expression of valid) {
+        it(`accepts ${expression}`, () => {
+            assert.doesNotThrow(() => engine.validateExpression(expression));
+        });
+    }
+
+    it('reports the first problem when there are several', () => {
+        assert.throws(() => engine.validateExpression('2 * (3 + '), {
+            name: 'ExpressionError',
+            message: "Unmatched '(' at index 4 is never closed",
+            start: 4
+        });
+    });
+});
+
+describe('diagnose', () => {
+    const engine = new ExpressionEngine();
+
+    it('returns no problems for a valid expression', () => {
+        assert.deepEqual(engine.diagnose('(a + b) * c'), []);
+    });
+
+    it('collects every problem, ordered by position', () => {
+        const errors = engine.diagnose('2 * (3 + ) $ 4');
+        assert.ok(errors.every(error => error instanceof ExpressionError));
+        assert.deepEqual(errors.map(error => error.message), [
+            "Operator '+' at index 7 is missing its right operand",
+            "Invalid character '$' at index 11. Only letters, numbers, ->, ||, ^^, xor, &&, ==, !=, <, <=, >, >=, +, -, *, /, %, //, !, ^, (, ), commas and spaces are allowed."
+        ]);
+        assert.deepEqual(errors.map(error => [error.start, error.end]), [[7, 8], [11, 12]]);
+    });
+
+    it('does not report a missing operator around an invalid character', () => {
+        const errors = engine.diagnose('2 $ 3');
+        assert.equal(errors.length, 1);
+        assert.match(errors[0].message, /^Invalid character '\$'/);
+    });
+});
+
+describe('error fixtures', () => {
+    for (const [method, cases] of Object.entries(fixtures)) {
+        describe(method, () => {
+            for (const fixture of cases) {
+                it(`${fixture.case}: ${JSON.stringify(fixture.input)}`, () => {
+                    const engine = new ExpressionEngine();
+                    if (fixture.numericMode) {
+                        engine.setNumericMode(fixture.numericMode);
+                    }
+                    const run = method.startsWith('evaluate')
+                        ? () => engine[method](fixture.input, fixture.bindings || {})
+                        : () => engine[method](fixture.input);
+
+                    assert.throws(run, (error) => {
+                        assert.equal(error.name, fixture.error);
+                        assert.equal(error.message, fixture.message);
+                        assert.equal(error.start ?? null, fixture.start);
+                        assert.equal(error.end ?? null, fixture.end);
+                        return true;
+                    });
+                });
+            }
+        });
+    }
+});
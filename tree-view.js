@@ -0,0 +1,171 @@
+/**
+ * Expression Tree View
+ * Lays out a syntax tree from engine.js and renders it as SVG markup.
+ * Loaded as a plain <script> (after markup.js) it exposes `window.ExprTreeView`; under Node it is
+ * a CommonJS module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./markup'));
+    } else {
+        root.ExprTreeView = factory(root.ExprMarkup);
+    }
+})(typeof self !== 'undefined' ? self : this, function (markup) {
+    'use strict';
+
+    const { escapeHtml } = markup;
+
+    const LEVEL_HEIGHT = 64;
+    const SLOT_WIDTH = 56;
+    const NODE_HEIGHT = 30;
+    const PADDING = 24;
+    const CAPTION_HEIGHT = 32;
+
+    // Light-theme styling written into exported images, which cannot use the page's stylesheet
+    const IMAGE_STYLE =
+        '.tree-edge{stroke:#6c757d;stroke-width:1.5}' +
+        '.tree-node rect{fill:#ffffff;stroke:#007bff;stroke-width:2}' +
+        '.tree-node-number rect,.tree-node-variable rect{stroke:#198754}' +
+        'text{fill:#212529;font-family:Monaco,Menlo,"Ubuntu Mono",monospace;font-size:14px}' +
+        '.tree-caption{font-size:16px}';
+
+    /**
+     * Text shown inside a node
+     * @param {Object} node - Syntax tree node
+     * @returns {string} Label
+     */
+    function nodeLabel(node) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable':
+                return node.name;
+            case 'unary':
+                return node.operator === '~' ? '-' : node.operator;
+            case 'binary':
+                return node.operator;
+            case 'call':
+                return node.name;
+            default:
+                return '?';
+        }
+    }
+
+    /**
+     * Child nodes in left-to-right order
+     * @param {Object} node - Syntax tree node
+     * @returns {Array<Object>} Children
+     */
+    function childrenOf(node) {
+        switch (node.type) {
+            case 'unary':
+                return [node.operand];
+            case 'binary':
+                return [node.left, node.right];
+            case 'call':
+                return node.args;
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Position every node: leaves take consecutive slots left to right and each parent
+     * sits centred over its first and last child
+     * @param {Object} ast - Root node
+     * @returns {{root: Object, items: Array<Object>, width: number, height: number}} Layout
+     */
+    function layoutTree(ast) {
+        const items = [];
+        let nextSlot = 0;
+        let maxDepth = 0;
+
+        const place = (node, depth) => {
+            const children = childrenOf(node).map(child => place(child, depth + 1));
+            const slot = children.length === 0
+                ? nextSlot++
+                : (children[0].slot + children[children.length - 1].slot) / 2;
+            const item = { node, depth, slot, children, label: nodeLabel(node) };
+            maxDepth = Math.max(maxDepth, depth);
+            items.push(item);
+            return item;
+        };
+
+        const rootItem = place(ast, 0);
+        for (const item of items) {
+            item.x = PADDING + item.slot * SLOT_WIDTH + SLOT_WIDTH / 2;
+            item.y = PADDING + item.depth * LEVEL_HEIGHT + NODE_HEIGHT / 2;
+        }
+
+        return {
+            root: rootItem,
+            items,
+            width: PADDING * 2 + nextSlot * SLOT_WIDTH,
+            height: PADDING * 2 + maxDepth * LEVEL_HEIGHT + NODE_HEIGHT
+        };
+    }
+
+    /**
+     * Edges and nodes of a laid-out tree as SVG elements. Each node is a `<g class="tree-node">`
+     * carrying `data-start`/`data-end` source offsets.
+     * @param {Object} layout - Layout from layoutTree()
+     * @returns {string} SVG markup
+     */
+    function treeMarkup(layout) {
+        const edges = layout.items.flatMap(item => item.children.map(child =>
+            `<line class="tree-edge" x1="${item.x}" y1="${item.y}" x2="${child.x}" y2="${child.y}"/>`
+        ));
+
+        const nodes = layout.items.map(item => {
+            const width = Math.max(NODE_HEIGHT, item.label.length * 9 + 16);
+            return `<g class="tree-node tree-node-${item.node.type}" data-start="${item.node.start}" data-end="${item.node.end}">` +
+                `<rect x="${item.x - width / 2}" y="${item.y - NODE_HEIGHT / 2}" width="${width}" height="${NODE_HEIGHT}" rx="${NODE_HEIGHT / 2}"/>` +
+                `<text x="${item.x}" y="${item.y}" text-anchor="middle" dominant-baseline="central">${escapeHtml(item.label)}</text>` +
+                '</g>';
+        });
+
+        return edges.join('') + nodes.join('');
+    }
+
+    /**
+     * Render a syntax tree as an SVG document for the page, styled by its stylesheet. The node
+     * source offsets let the page highlight the matching input.
+     * @param {Object} ast - Root node
+     * @returns {string} SVG markup
+     */
+    function renderTreeSvg(ast) {
+        const layout = layoutTree(ast);
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="expression-tree" role="img" aria-label="Expression tree" ` +
+            `width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">` +
+            treeMarkup(layout) +
+            '</svg>';
+    }
+
+    /**
+     * Render a syntax tree as a self-contained SVG image on a white background, with the
+     * expression written above it, for saving as a file or drawing onto a canvas
+     * @param {Object} ast - Root node
+     * @param {string} caption - Text above the tree, usually the expression; blank for none
+     * @returns {{svg: string, width: number, height: number}} SVG markup and its size in pixels
+     */
+    function renderTreeImage(ast, caption = '') {
+        const layout = layoutTree(ast);
+        const top = caption ? CAPTION_HEIGHT : 0;
+        const width = Math.max(layout.width, caption.length * 10 + PADDING * 2);
+        const height = layout.height + top;
+        const captionMarkup = caption
+            ? `<text class="tree-caption" x="${width / 2}" y="${PADDING + 4}" text-anchor="middle" dominant-baseline="central">${escapeHtml(caption)}</text>`
+            : '';
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<style>${IMAGE_STYLE}</style>` +
+            `<rect width="${width}" height="${height}" fill="#ffffff"/>` +
+            captionMarkup +
+            `<g transform="translate(${(width - layout.width) / 2} ${top})">${treeMarkup(layout)}</g>` +
+            '</svg>';
+        return { svg, width, height };
+    }
+
+    return { layoutTree, renderTreeSvg, renderTreeImage };
+});